@@ -1,9 +1,75 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const ApiKey = require('../models/ApiKey');
+const ServiceAccount = require('../models/ServiceAccount');
+const Hospital = require('../models/Hospital');
+const { ALL_PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../utils/permissions');
+const { runAs } = require('../utils/requestContext');
+
+// Every authenticated request must belong to an existing, active tenant
+const rejectInactiveHospital = (hospital, res) => {
+  if (hospital && hospital.isActive()) return false;
+
+  res.status(403).json({
+    success: false,
+    message: 'Hospital account is not active'
+  });
+  return true;
+};
+
+// Only write lastUsedAt once a minute to avoid a database write on every call
+const API_KEY_USAGE_THROTTLE_MS = 60 * 1000;
+
+// Authenticate a machine integration by its API key; permissions come from the key's scopes
+const authenticateApiKey = async (key, req, res, next) => {
+  const apiKey = await ApiKey.findByKey(key);
+  if (!apiKey || !apiKey.isActive()) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid, expired or revoked API key'
+    });
+  }
+
+  const serviceAccount = await ServiceAccount.findById(apiKey.serviceAccountId);
+  const user = serviceAccount && await User.findById(serviceAccount.userId).select('-password');
+  if (!serviceAccount || serviceAccount.status !== 'active' || !user || user.status !== 'active') {
+    return res.status(401).json({
+      success: false,
+      message: 'Service account is disabled'
+    });
+  }
+
+  const hospital = await Hospital.findByTenantId(apiKey.hospitalId);
+  if (rejectInactiveHospital(hospital, res)) return;
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > API_KEY_USAGE_THROTTLE_MS) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: new Date(), lastUsedIp: req.ip }
+    );
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  req.hospital = hospital;
+  req.hospitalId = apiKey.hospitalId;
+  req.permissions = apiKey.scopes;
+  runAs({ userId: user._id, apiKeyId: apiKey._id }, next);
+};
 
 const auth = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const authorization = req.header('Authorization') || '';
+    const apiKey = req.header('X-API-Key') ||
+      (authorization.startsWith('ApiKey ') ? authorization.slice('ApiKey '.length) : null);
+
+    if (apiKey) {
+      return await authenticateApiKey(apiKey, req, res, next);
+    }
+
+    const token = authorization.replace('Bearer ', '');
     
     if (!token) {
       return res.status(401).json({
@@ -13,6 +79,15 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are only valid while their session has not been revoked
+    const session = decoded.sessionId && await Session.findById(decoded.sessionId);
+    if (!session || !session.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked. Please login again.'
+      });
+    }
     
     // Find user and attach to request
     const user = await User.findById(decoded.userId).select('-password');
@@ -23,9 +98,25 @@ const auth = async (req, res, next) => {
       });
     }
 
+    // Locked, suspended and deactivated accounts lose access at once, not when the token expires.
+    // A lockout is separate from the status, which only administrators change.
+    if (user.status !== 'active' || user.isLocked()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is not active. Please contact your hospital administrator.'
+      });
+    }
+
+    const hospitalId = decoded.hospitalId || user.hospitalId;
+    const hospital = await Hospital.findByTenantId(hospitalId);
+    if (rejectInactiveHospital(hospital, res)) return;
+
     req.user = user;
-    req.hospitalId = decoded.hospitalId || process.env.DEFAULT_HOSPITAL_ID;
-    next();
+    req.authSession = session;
+    req.hospital = hospital;
+    req.hospitalId = hospitalId;
+    // Lets model hooks record who made a change; see utils/history
+    runAs({ userId: user._id }, next);
   } catch (error) {
     console.error('Auth middleware error:', error);
     res.status(401).json({
@@ -35,25 +126,92 @@ const auth = async (req, res, next) => {
   }
 };
 
-// Role-based authorization
-const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access denied. Please login.'
-      });
+// Effective permissions of a user. Hospital owners always keep every permission
+// so they cannot lock themselves out; others use their custom role if one is assigned.
+const resolvePermissions = async (user) => {
+  if (user.role === 'hospitalOwner') {
+    return ALL_PERMISSIONS;
+  }
+
+  if (user.customRoleId) {
+    const role = await Role.findOne({ _id: user.customRoleId, hospitalId: user.hospitalId });
+    if (role) {
+      return role.permissions;
     }
+  }
 
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
+  return DEFAULT_ROLE_PERMISSIONS[user.role] || [];
+};
+
+// Permission-based authorization; the user needs every listed permission
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Access denied. Please login.'
+        });
+      }
+
+      if (!req.permissions) {
+        req.permissions = await resolvePermissions(req.user);
+      }
+
+      if (!permissions.every(permission => req.permissions.includes(permission))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Insufficient permissions.'
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({
         success: false,
-        message: 'Access denied. Insufficient permissions.'
+        message: 'Server error'
       });
     }
-
-    next();
   };
 };
 
-module.exports = { auth, authorize };
+// For handlers that adapt their response to an optional permission;
+// only valid after requirePermission has run on the route
+const hasPermission = (req, permission) => {
+  return Boolean(req.permissions && req.permissions.includes(permission));
+};
+
+// For account endpoints that only make sense for people (sessions, MFA, key management)
+const rejectApiKeys = (req, res, next) => {
+  if (req.header('X-API-Key') || (req.header('Authorization') || '').startsWith('ApiKey ')) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for this endpoint'
+    });
+  }
+
+  next();
+};
+
+// For actions reserved to the hospital owner regardless of custom roles,
+// such as exporting all hospital data or approving patient merges
+const requireHospitalOwner = (req, res, next) => {
+  if (req.user.role !== 'hospitalOwner') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the hospital owner can perform this action'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  auth,
+  requirePermission,
+  hasPermission,
+  resolvePermissions,
+  rejectApiKeys,
+  requireHospitalOwner
+};
@@ -0,0 +1,124 @@
+const Patient = require('../models/Patient');
+const EmergencyAccess = require('../models/EmergencyAccess');
+const { hasPermission } = require('./auth');
+const { findClinician, isOnCareTeam } = require('../utils/careTeam');
+
+// For patient users, load the Patient record linked to their account so routes
+// can restrict results to it. Other users pass through untouched.
+const attachPatientRecord = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'patient') {
+      return next();
+    }
+
+    const patient = await Patient.findOne({
+      userId: req.user._id,
+      hospitalId: req.hospitalId
+    });
+
+    if (!patient) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account is not linked to a patient record yet. Please contact the hospital.'
+      });
+    }
+
+    req.patientRecord = patient;
+    next();
+  } catch (error) {
+    console.error('Attach patient record error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Query conditions limiting a patient user to their own record; empty for everyone else
+const ownRecordFilter = (req, field = 'patientId') => {
+  return req.patientRecord ? { [field]: req.patientRecord._id } : {};
+};
+
+// Clinical flags (violent behaviour, VIP, ...) are notes for staff: patient
+// users never get them, nor the alerts derived from them
+const seesClinicalFlags = (req) => req.user.role !== 'patient';
+
+// Whether the caller only sees the charts of patients whose care team they are
+// on: the hospital has to ask for it, and patient accounts are limited to
+// their own record anyway
+const limitedToCareTeam = (req) => {
+  return req.user.role !== 'patient' &&
+    req.hospital.restrictsToCareTeam() &&
+    !hasPermission(req, 'patients:all-records');
+};
+
+// Whether the caller may open the patient's chart: when charts are limited to
+// care teams, only the patient's treating clinicians may, plus anyone holding
+// active emergency access to the patient
+const canOpenChart = async (req, patient) => {
+  if (!limitedToCareTeam(req)) {
+    return true;
+  }
+  if (isOnCareTeam(patient, await findClinician(req))) {
+    return true;
+  }
+  return Boolean(await EmergencyAccess.findActive(req.user._id, patient._id));
+};
+
+const rejectOutsideCareTeam = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: "Access denied. Only the patient's care team can open this chart; use emergency access in an emergency."
+  });
+};
+
+// For routes on one patient (:id); see canOpenChart. Routes finding the
+// patient some other way call canOpenChart themselves.
+const requireCareTeam = async (req, res, next) => {
+  try {
+    if (!limitedToCareTeam(req)) {
+      return next();
+    }
+
+    const patient = await Patient.findOne({ _id: req.params.id, hospitalId: req.hospitalId }).select('careTeam');
+    if (!patient) {
+      // The route itself answers 404
+      return next();
+    }
+
+    if (await canOpenChart(req, patient)) {
+      return next();
+    }
+
+    rejectOutsideCareTeam(res);
+  } catch (error) {
+    console.error('Care team check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Portal routes are only for patient accounts
+const requirePatientUser = (req, res, next) => {
+  if (req.user.role !== 'patient') {
+    return res.status(403).json({
+      success: false,
+      message: 'The patient portal is only available to patient accounts'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  attachPatientRecord,
+  ownRecordFilter,
+  seesClinicalFlags,
+  limitedToCareTeam,
+  canOpenChart,
+  rejectOutsideCareTeam,
+  requireCareTeam,
+  requirePatientUser
+};
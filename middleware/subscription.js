@@ -0,0 +1,126 @@
+const Plan = require('../models/Plan');
+const Subscription = require('../models/Subscription');
+const Patient = require('../models/Patient');
+const Doctor = require('../models/Doctor');
+const Staff = require('../models/Staff');
+const Invitation = require('../models/Invitation');
+const { DEFAULT_PLAN_CODE, FEATURES } = require('../utils/plans');
+
+// Current number of records counted against each plan limit. Pending staff
+// invitations count too, since accepting them creates a staff profile.
+const USAGE_COUNTERS = {
+  patients: (hospitalId) => Patient.countDocuments({ hospitalId }),
+  doctors: (hospitalId) => Doctor.countDocuments({ hospitalId }),
+  staff: async (hospitalId) => {
+    const [active, invited] = await Promise.all([
+      Staff.countDocuments({ hospitalId, status: 'active' }),
+      Invitation.countDocuments({
+        hospitalId,
+        status: 'pending',
+        expiresAt: { $gt: new Date() },
+        staffData: { $exists: true }
+      })
+    ]);
+    return active + invited;
+  }
+};
+
+// The hospital's subscription and the plan that applies to it: the subscribed
+// plan while the subscription is active, otherwise the default plan
+const getHospitalPlan = async (hospitalId) => {
+  const subscription = await Subscription.findOne({ hospitalId }).populate('planId');
+
+  let plan = subscription && subscription.isActive() ? subscription.planId : null;
+  if (!plan) {
+    plan = await Plan.findByCode(DEFAULT_PLAN_CODE);
+  }
+
+  return { subscription, plan };
+};
+
+const getUsage = async (hospitalId) => {
+  const resources = Object.keys(USAGE_COUNTERS);
+  const counts = await Promise.all(resources.map(resource => USAGE_COUNTERS[resource](hospitalId)));
+
+  return resources.reduce((usage, resource, index) => {
+    usage[resource] = counts[index];
+    return usage;
+  }, {});
+};
+
+// Load the plan once per request
+const loadPlan = async (req) => {
+  if (req.plan === undefined) {
+    const { subscription, plan } = await getHospitalPlan(req.hospitalId);
+    req.subscription = subscription;
+    req.plan = plan;
+  }
+  return req.plan;
+};
+
+// Reject creating another `resource` record once the plan's limit is reached
+const enforceQuota = (resource) => {
+  return async (req, res, next) => {
+    try {
+      const plan = await loadPlan(req);
+      const limit = plan ? plan.limitFor(resource) : null;
+
+      if (limit === null) {
+        return next();
+      }
+
+      const used = await USAGE_COUNTERS[resource](req.hospitalId);
+      if (used >= limit) {
+        return res.status(402).json({
+          success: false,
+          message: `Your ${plan.name} plan allows up to ${limit} ${resource}. Please upgrade to add more.`,
+          data: { resource, limit, used }
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Enforce quota error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  };
+};
+
+// Reject requests using a feature the plan does not include. `appliesTo`
+// limits the check to matching requests, e.g. only virtual appointments.
+const requireFeature = (feature, appliesTo = () => true) => {
+  return async (req, res, next) => {
+    try {
+      if (!appliesTo(req)) {
+        return next();
+      }
+
+      const plan = await loadPlan(req);
+      if (!plan || !plan.hasFeature(feature)) {
+        return res.status(402).json({
+          success: false,
+          message: `${FEATURES[feature]} is not included in your plan. Please upgrade to use it.`,
+          data: { feature }
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Require feature error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  };
+};
+
+module.exports = {
+  getHospitalPlan,
+  getUsage,
+  enforceQuota,
+  requireFeature
+};
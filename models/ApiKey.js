@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const KEY_PREFIX = 'msk';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const apiKeySchema = new mongoose.Schema({
+  serviceAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceAccount',
+    required: true
+  },
+  hospitalId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Public part of the key, shown in listings so keys can be told apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [String],
+    validate: {
+      validator: (scopes) => scopes.every(scope => Object.prototype.hasOwnProperty.call(PERMISSIONS, scope)),
+      message: 'Unknown scope in API key'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Key this one replaced when it was created by rotation
+  rotatedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Generate the secret key, storing only its hash. The plaintext is returned once.
+apiKeySchema.methods.createKey = function() {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `${KEY_PREFIX}_${prefix}_${crypto.randomBytes(32).toString('hex')}`;
+  this.prefix = `${KEY_PREFIX}_${prefix}`;
+  this.keyHash = hashKey(key);
+  return key;
+};
+
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+apiKeySchema.statics.findByKey = function(key) {
+  return this.findOne({ keyHash: hashKey(key) });
+};
+
+// Hide the key hash from API responses
+apiKeySchema.methods.toJSON = function() {
+  const apiKeyObject = this.toObject();
+  delete apiKeyObject.keyHash;
+  return apiKeyObject;
+};
+
+// Index for efficient queries
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+apiKeySchema.index({ serviceAccountId: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { formatInTimeZone } = require('../utils/timezone');
+const softDelete = require('../utils/softDelete');
+const history = require('../utils/history');
 
 const appointmentSchema = new mongoose.Schema({
   hospitalId: {
@@ -15,12 +18,13 @@ const appointmentSchema = new mongoose.Schema({
     ref: 'Doctor',
     required: true
   },
-  appointmentDate: {
+  // Absolute instants; local dates and times are derived with the hospital's timezone
+  startTime: {
     type: Date,
     required: true
   },
-  appointmentTime: {
-    type: String,
+  endTime: {
+    type: Date,
     required: true
   },
   duration: {
@@ -53,4 +57,30 @@ const appointmentSchema = new mongoose.Schema({
   timestamps: true
 });
 
+appointmentSchema.index({ hospitalId: 1, startTime: 1 });
+
+appointmentSchema.plugin(softDelete);
+appointmentSchema.plugin(history);
+
+// Keep endTime in step with startTime and duration
+appointmentSchema.pre('validate', function(next) {
+  if (this.startTime && (this.isModified('startTime') || this.isModified('duration') || !this.endTime)) {
+    this.endTime = new Date(this.startTime.getTime() + (this.duration || 0) * 60 * 1000);
+  }
+  next();
+});
+
+// Serialize with start and end converted to the hospital's local time
+appointmentSchema.methods.toLocalJSON = function(timeZone) {
+  const local = {
+    timezone: timeZone,
+    start: formatInTimeZone(this.startTime, timeZone),
+    end: formatInTimeZone(this.endTime, timeZone)
+  };
+  local.date = local.start && local.start.slice(0, 10);
+  local.time = local.start && local.start.slice(11, 16);
+
+  return { ...this.toJSON(), local };
+};
+
 module.exports = mongoose.model('Appointment', appointmentSchema);
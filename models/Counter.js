@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Per-hospital sequences, e.g. for medical record numbers
+const counterSchema = new mongoose.Schema({
+  hospitalId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+counterSchema.index({ hospitalId: 1, name: 1 }, { unique: true });
+
+// Atomically increment and return the next value of a sequence
+counterSchema.statics.next = async function(hospitalId, name) {
+  const counter = await this.findOneAndUpdate(
+    { hospitalId, name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
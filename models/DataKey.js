@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Per-hospital keys for field-level encryption, stored wrapped by the master
+// key; see utils/fieldEncryption
+const dataKeySchema = new mongoose.Schema({
+  hospitalId: {
+    type: String,
+    required: true
+  },
+  // 'encryption' keys are rotated; the 'blind-index' key stays, as exact-match
+  // lookups depend on it
+  purpose: {
+    type: String,
+    enum: ['encryption', 'blind-index'],
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  wrappedKey: {
+    type: String,
+    required: true
+  },
+  // A rotated key is only used once every server has loaded it
+  activatesAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set once no live record uses the key; kept to read older backups
+  retiredAt: Date
+}, {
+  timestamps: true
+});
+
+dataKeySchema.index({ hospitalId: 1, purpose: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('DataKey', dataKeySchema);
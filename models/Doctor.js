@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
+const history = require('../utils/history');
 
 const doctorSchema = new mongoose.Schema({
   userId: {
@@ -44,4 +46,7 @@ const doctorSchema = new mongoose.Schema({
   timestamps: true
 });
 
+doctorSchema.plugin(softDelete);
+doctorSchema.plugin(history);
+
 module.exports = mongoose.model('Doctor', doctorSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// Break-the-glass log. Grant details are immutable once written and entries can
+// never be deleted; only the review fields may change afterwards.
+const emergencyAccessSchema = new mongoose.Schema({
+  hospitalId: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true,
+    immutable: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    immutable: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    immutable: true
+  },
+  ipAddress: {
+    type: String,
+    immutable: true
+  },
+  userAgent: {
+    type: String,
+    immutable: true
+  },
+  review: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'flagged'],
+      default: 'pending'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    notes: String
+  }
+}, {
+  timestamps: true
+});
+
+const REVIEW_FIELDS = ['review.status', 'review.reviewedBy', 'review.reviewedAt', 'review.notes', 'updatedAt'];
+
+// Reject query updates that touch anything except the review fields
+function onlyReviewUpdates(next) {
+  const update = this.getUpdate() || {};
+  const fields = Object.entries(update).flatMap(([key, value]) => {
+    return key.startsWith('$') ? Object.keys(value) : [key];
+  });
+
+  if (fields.some(field => !REVIEW_FIELDS.includes(field))) {
+    return next(new Error('Emergency access log entries are immutable'));
+  }
+  next();
+}
+
+function preventReplace(next) {
+  next(new Error('Emergency access log entries are immutable'));
+}
+
+function preventDelete(next) {
+  next(new Error('Emergency access log entries cannot be deleted'));
+}
+
+emergencyAccessSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], onlyReviewUpdates);
+emergencyAccessSchema.pre(['replaceOne', 'findOneAndReplace'], preventReplace);
+emergencyAccessSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'], preventDelete);
+emergencyAccessSchema.pre('deleteOne', { document: true, query: false }, preventDelete);
+
+emergencyAccessSchema.methods.isActive = function() {
+  return this.expiresAt > new Date();
+};
+
+// Unexpired grant of the user for the patient, if any
+emergencyAccessSchema.statics.findActive = function(userId, patientId) {
+  return this.findOne({
+    userId,
+    patientId,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Index for efficient queries
+emergencyAccessSchema.index({ userId: 1, patientId: 1, expiresAt: -1 });
+emergencyAccessSchema.index({ hospitalId: 1, 'review.status': 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmergencyAccess', emergencyAccessSchema);
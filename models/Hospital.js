@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/timezone');
+
+// Tenant record. Every other model refers to a hospital through its
+// `hospitalId` string, which is the string form of this document's _id.
+const hospitalSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  registrationNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  phone: String,
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String
+  },
+  logo: String,
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'suspended', 'cancelled'],
+    default: 'active'
+  },
+  settings: {
+    // IANA timezone used for day boundaries, trends and displayed times
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: props => `${props.value} is not a valid IANA timezone`
+      }
+    },
+    // Medical record number format: prefix, zero-padded sequence, optional check digit
+    mrn: {
+      prefix: {
+        type: String,
+        default: 'MRN',
+        trim: true,
+        uppercase: true,
+        maxlength: 10
+      },
+      digits: {
+        type: Number,
+        default: 7,
+        min: 4,
+        max: 12
+      },
+      checkDigit: {
+        type: Boolean,
+        default: false
+      }
+    },
+    registration: {
+      // Whether patients may create their own accounts; everyone else joins by invitation
+      publicRegistrationEnabled: {
+        type: Boolean,
+        default: true
+      }
+    },
+    security: {
+      // Roles that must enroll in multi-factor authentication before they can sign in
+      mfaRequiredRoles: [{
+        type: String,
+        enum: ['patient', 'doctor', 'hospitalOwner', 'staff']
+      }],
+      // Limit patient charts to each patient's care team, except for users
+      // with patients:all-records and active emergency access
+      restrictToCareTeam: {
+        type: Boolean,
+        default: false
+      }
+    }
+  }
+}, {
+  timestamps: true
+});
+
+hospitalSchema.methods.isActive = function() {
+  return this.status === 'active';
+};
+
+hospitalSchema.methods.getTimeZone = function() {
+  return (this.settings && this.settings.timezone) || DEFAULT_TIMEZONE;
+};
+
+hospitalSchema.methods.requiresMfa = function(role) {
+  return (this.settings.security.mfaRequiredRoles || []).includes(role);
+};
+
+hospitalSchema.methods.restrictsToCareTeam = function() {
+  return Boolean(this.settings.security.restrictToCareTeam);
+};
+
+// Look up a hospital by the hospitalId string stored on other records;
+// ids that are not valid ObjectIds simply do not match a tenant
+hospitalSchema.statics.findByTenantId = function(hospitalId) {
+  if (!mongoose.Types.ObjectId.isValid(hospitalId)) {
+    return Promise.resolve(null);
+  }
+  return this.findById(hospitalId);
+};
+
+module.exports = mongoose.model('Hospital', hospitalSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const DEFAULT_EXPIRES_DAYS = parseInt(process.env.INVITATION_EXPIRES_DAYS) || 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const invitationSchema = new mongoose.Schema({
+  hospitalId: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['patient', 'doctor', 'hospitalOwner', 'staff'],
+    required: true
+  },
+  // Staff profile created together with the user when a staff invitation is accepted
+  staffData: mongoose.Schema.Types.Mixed,
+  // Patient record the portal account is linked to when a patient invitation is accepted
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  token: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  acceptedAt: Date,
+  acceptedUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Issue a fresh single-use token, storing only its hash
+invitationSchema.methods.createToken = function(expiresInDays = DEFAULT_EXPIRES_DAYS) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.token = hashToken(token);
+  this.expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+  return token;
+};
+
+invitationSchema.methods.isUsable = function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+invitationSchema.statics.findByToken = function(token) {
+  return this.findOne({ token: hashToken(token) });
+};
+
+// Hide the token hash from API responses
+invitationSchema.methods.toJSON = function() {
+  const invitationObject = this.toObject();
+  delete invitationObject.token;
+  return invitationObject;
+};
+
+// Index for efficient queries
+invitationSchema.index({ token: 1 });
+invitationSchema.index({ hospitalId: 1, status: 1 });
+invitationSchema.index({ hospitalId: 1, email: 1 });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
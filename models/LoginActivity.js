@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const loginActivitySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  hospitalId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'login_success',
+      'login_failed',
+      'mfa_failed',
+      'login_throttled',
+      'login_while_locked',
+      'account_locked',
+      'account_unlocked'
+    ],
+    required: true
+  },
+  suspicious: {
+    type: Boolean,
+    default: false
+  },
+  reason: String,
+  failedAttempts: Number,
+  ipAddress: String,
+  userAgent: String,
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Append an entry for the user, taking client details from the request
+loginActivitySchema.statics.record = function(user, req, type, details = {}) {
+  return this.create({
+    userId: user._id,
+    hospitalId: user.hospitalId,
+    type,
+    failedAttempts: user.loginSecurity.failedAttempts,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    ...details
+  });
+};
+
+// Index for efficient queries
+loginActivitySchema.index({ userId: 1, createdAt: -1 });
+loginActivitySchema.index({ hospitalId: 1, suspicious: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LoginActivity', loginActivitySchema);
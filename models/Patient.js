@@ -1,10 +1,233 @@
 const mongoose = require('mongoose');
+const searchable = require('../utils/searchable');
+const softDelete = require('../utils/softDelete');
+const history = require('../utils/history');
+const encryptedFields = require('../utils/encryptedFields');
+const { normalizePhone, normalizeEmail } = require('../utils/textMatching');
+const { ELIGIBILITY_STATUSES } = require('../utils/insurance');
+const { CONSENT_TYPES } = require('../utils/consent');
+const { FLAG_TYPES, FLAG_SEVERITIES } = require('../utils/patientFlags');
+
+// Fields shared by every structured clinical entry
+const entryAudit = {
+  notes: String,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+};
+
+const allergySchema = new mongoose.Schema({
+  allergen: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  severity: {
+    type: String,
+    enum: ['mild', 'moderate', 'severe', 'life-threatening'],
+    default: 'moderate'
+  },
+  reaction: String,
+  status: {
+    type: String,
+    enum: ['active', 'resolved'],
+    default: 'active'
+  },
+  resolvedAt: Date,
+  ...entryAudit
+}, {
+  timestamps: true
+});
+
+const medicationSchema = new mongoose.Schema({
+  drug: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  dose: String,
+  frequency: String,
+  route: String,
+  startDate: Date,
+  endDate: Date,
+  active: {
+    type: Boolean,
+    default: true
+  },
+  ...entryAudit
+}, {
+  timestamps: true
+});
+
+const conditionSchema = new mongoose.Schema({
+  condition: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'chronic', 'resolved'],
+    default: 'active'
+  },
+  diagnosedAt: Date,
+  resolvedAt: Date,
+  ...entryAudit
+}, {
+  timestamps: true
+});
+
+// Chart alert such as DNR or fall risk; see utils/patientFlags
+const flagSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.keys(FLAG_TYPES),
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: FLAG_SEVERITIES,
+    default: function() {
+      return FLAG_TYPES[this.type] ? FLAG_TYPES[this.type].severity : 'warning';
+    }
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: Date,
+  endedAt: Date,
+  ...entryAudit
+}, {
+  timestamps: true
+});
+
+const coverageSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  planName: String,
+  policyNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  groupNumber: String,
+  // Policy holder, when not the patient
+  subscriber: {
+    name: String,
+    dateOfBirth: Date,
+    memberId: String
+  },
+  relationship: {
+    type: String,
+    enum: ['self', 'spouse', 'child', 'other'],
+    default: 'self'
+  },
+  effectiveDate: Date,
+  expiryDate: Date,
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+  // Last answer of the eligibility checker; see utils/insurance
+  eligibility: {
+    status: {
+      type: String,
+      enum: ELIGIBILITY_STATUSES,
+      default: 'unknown'
+    },
+    message: String,
+    reference: String,
+    checker: String,
+    checkedAt: Date
+  },
+  ...entryAudit
+}, {
+  timestamps: true
+});
+
+// One version of a consent decision. Records are never edited apart from
+// being revoked; a new decision is a new version. See utils/consent.
+const consentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.keys(CONSENT_TYPES),
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['written', 'verbal', 'electronic'],
+    default: 'written'
+  },
+  grantedAt: {
+    type: Date,
+    default: Date.now
+  },
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: Date,
+  // Signed form, only downloadable through the consent routes
+  document: {
+    path: String,
+    originalName: String,
+    mimeType: String,
+    size: Number
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revocationReason: String,
+  notes: String
+}, {
+  timestamps: true
+});
 
 const patientSchema = new mongoose.Schema({
   hospitalId: {
     type: String,
     required: true
   },
+  // Medical record number, generated per hospital and never changed
+  mrn: {
+    type: String,
+    immutable: true
+  },
+  // Identifiers from other systems, e.g. national ID or insurer member ID
+  externalIds: [{
+    _id: false,
+    system: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true
+    },
+    value: {
+      type: String,
+      required: true,
+      trim: true
+    }
+  }],
+  // Patient portal account linked to this record
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   firstName: {
     type: String,
     required: true,
@@ -40,14 +263,43 @@ const patientSchema = new mongoose.Schema({
     type: String,
     enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']
   },
-  allergies: String,
-  medications: String,
-  medicalHistory: String,
+  allergies: [allergySchema],
+  medications: [medicationSchema],
+  medicalHistory: [conditionSchema],
+  flags: [flagSchema],
+  // Treating clinicians; see utils/careTeam
+  careTeam: {
+    primaryPhysician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor'
+    },
+    consultants: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor'
+    }],
+    nurses: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff'
+    }]
+  },
+  insurance: [coverageSchema],
+  consents: [consentSchema],
+  // Free-text allergies, medications and history recorded before they were structured
+  legacyNotes: {
+    allergies: String,
+    medications: String,
+    medicalHistory: String
+  },
   status: {
     type: String,
-    enum: ['Active', 'Inactive'],
+    enum: ['Active', 'Inactive', 'Merged'],
     default: 'Active'
   },
+  // Surviving record this duplicate was merged into
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
   avatar: String,
   lastVisit: Date,
   nextAppointment: Date
@@ -75,4 +327,44 @@ patientSchema.set('toJSON', {
   virtuals: true
 });
 
+// A portal account can be linked to at most one patient per hospital
+patientSchema.index(
+  { hospitalId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { userId: { $exists: true } } }
+);
+
+patientSchema.index({ hospitalId: 1, dateOfBirth: 1 });
+patientSchema.index({ hospitalId: 1, 'careTeam.primaryPhysician': 1 });
+patientSchema.index({ hospitalId: 1, 'careTeam.consultants': 1 });
+patientSchema.index({ hospitalId: 1, 'careTeam.nurses': 1 });
+
+// Phone numbers are encrypted, so they are found through their blind index
+// rather than search tokens
+patientSchema.plugin(searchable, { nameFields: ['firstName', 'lastName'] });
+patientSchema.plugin(softDelete);
+// Before encryptedFields, so that changes are recorded from the plaintext
+patientSchema.plugin(history);
+patientSchema.plugin(encryptedFields, {
+  fields: ['email', 'phone', 'address', 'emergencyContact', 'legacyNotes.allergies', 'legacyNotes.medicalHistory'],
+  arrays: {
+    allergies: ['allergen', 'reaction', 'notes'],
+    medicalHistory: ['condition', 'notes']
+  },
+  blindIndexes: {
+    email: normalizeEmail,
+    phone: normalizePhone
+  }
+});
+
+patientSchema.index(
+  { hospitalId: 1, mrn: 1 },
+  { unique: true, partialFilterExpression: { mrn: { $exists: true } } }
+);
+
+// An external identifier belongs to at most one patient per hospital
+patientSchema.index(
+  { hospitalId: 1, 'externalIds.system': 1, 'externalIds.value': 1 },
+  { unique: true, partialFilterExpression: { 'externalIds.value': { $exists: true } } }
+);
+
 module.exports = mongoose.model('Patient', patientSchema);
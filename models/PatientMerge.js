@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Merge of a duplicate patient record into a surviving one. Requested by
+// staff, carried out once the hospital owner approves, and reversible: it
+// records everything it moved so a revert can move it back.
+const patientMergeSchema = new mongoose.Schema({
+  hospitalId: {
+    type: String,
+    required: true
+  },
+  survivorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  mergedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'rejected', 'reverted'],
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNotes: String,
+  // What the merge changed, used to revert it
+  changes: {
+    mergedStatus: String,
+    appointmentIds: [mongoose.Schema.Types.ObjectId],
+    vitalsIds: [mongoose.Schema.Types.ObjectId],
+    invitationIds: [mongoose.Schema.Types.ObjectId],
+    allergyIds: [mongoose.Schema.Types.ObjectId],
+    medicationIds: [mongoose.Schema.Types.ObjectId],
+    conditionIds: [mongoose.Schema.Types.ObjectId],
+    flagIds: [mongoose.Schema.Types.ObjectId],
+    coverageIds: [mongoose.Schema.Types.ObjectId],
+    consentIds: [mongoose.Schema.Types.ObjectId],
+    // The survivor's consent versions before they were numbered again
+    consentVersions: [{
+      _id: false,
+      consentId: mongoose.Schema.Types.ObjectId,
+      version: Number
+    }],
+    // Clinicians the survivor's care team gained
+    careTeam: {
+      primaryPhysician: mongoose.Schema.Types.ObjectId,
+      consultants: [mongoose.Schema.Types.ObjectId],
+      nurses: [mongoose.Schema.Types.ObjectId]
+    },
+    externalIds: [{
+      _id: false,
+      system: String,
+      value: String
+    }],
+    portalUserId: mongoose.Schema.Types.ObjectId
+  },
+  completedAt: Date,
+  revertedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revertedAt: Date
+}, {
+  timestamps: true
+});
+
+patientMergeSchema.index({ hospitalId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PatientMerge', patientMergeSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Webhook events received from the payment provider. The unique eventId
+// makes redelivered events a no-op.
+const paymentEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  hospitalId: String,
+  payload: mongoose.Schema.Types.Mixed,
+  processedAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { FEATURES, DEFAULT_PLANS } = require('../utils/plans');
+
+// A limit of null means the plan does not cap that resource
+const limitField = {
+  type: Number,
+  min: 0,
+  default: null
+};
+
+const planSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  price: {
+    amount: {
+      type: Number,
+      default: 0
+    },
+    currency: {
+      type: String,
+      default: 'USD'
+    },
+    interval: {
+      type: String,
+      enum: ['month', 'year'],
+      default: 'month'
+    }
+  },
+  limits: {
+    patients: limitField,
+    doctors: limitField,
+    staff: limitField
+  },
+  features: {
+    type: [String],
+    validate: {
+      validator: (features) => features.every(feature => Object.prototype.hasOwnProperty.call(FEATURES, feature)),
+      message: 'Unknown feature in plan'
+    }
+  },
+  // Retired plans stay attached to existing subscriptions but are no longer offered
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+planSchema.methods.limitFor = function(resource) {
+  const limit = this.limits && this.limits[resource];
+  return limit === undefined ? null : limit;
+};
+
+planSchema.methods.hasFeature = function(feature) {
+  return (this.features || []).includes(feature);
+};
+
+planSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).toLowerCase() });
+};
+
+// Create the built-in plans that do not exist yet; existing plans are left as edited
+planSchema.statics.ensureDefaults = async function() {
+  await Promise.all(DEFAULT_PLANS.map(plan => this.updateOne(
+    { code: plan.code },
+    { $setOnInsert: plan },
+    { upsert: true }
+  )));
+};
+
+module.exports = mongoose.model('Plan', planSchema);
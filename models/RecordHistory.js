@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const encryptedFields = require('../utils/encryptedFields');
+
+// One version of a patient, doctor, staff or appointment record: what changed,
+// who changed it and when; see utils/history
+const recordHistorySchema = new mongoose.Schema({
+  hospitalId: {
+    type: String,
+    required: true
+  },
+  modelName: {
+    type: String,
+    required: true
+  },
+  recordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'purge'],
+    required: true
+  },
+  // Changed field paths, e.g. 'allergies' or 'careTeam.primaryPhysician'
+  paths: [String],
+  // JSON of [{ path, from, to }], encrypted as it holds the record's data
+  diff: String,
+  // Unset for changes made outside a request, e.g. by scripts
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+recordHistorySchema.virtual('changes').get(function() {
+  return this.diff ? JSON.parse(this.diff) : [];
+});
+
+recordHistorySchema.set('toJSON', {
+  virtuals: true,
+  transform(doc, ret) {
+    delete ret.diff;
+    return ret;
+  }
+});
+
+recordHistorySchema.index({ modelName: 1, recordId: 1, version: 1 }, { unique: true });
+recordHistorySchema.index({ hospitalId: 1, modelName: 1, recordId: 1, changedAt: 1 });
+
+recordHistorySchema.plugin(encryptedFields, { fields: ['diff'] });
+
+module.exports = mongoose.model('RecordHistory', recordHistorySchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const roleSchema = new mongoose.Schema({
+  hospitalId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  permissions: {
+    type: [String],
+    validate: {
+      validator: (permissions) => permissions.every(permission => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission)),
+      message: 'Unknown permission in role'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Role names are unique within a hospital
+roleSchema.index({ hospitalId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Role', roleSchema);
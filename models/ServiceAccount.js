@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const serviceAccountSchema = new mongoose.Schema({
+  // Backing user record, so records created by integrations have an author
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  hospitalId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  status: {
+    type: String,
+    enum: ['active', 'disabled'],
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+serviceAccountSchema.index({ hospitalId: 1, status: 1 });
+
+module.exports = mongoose.model('ServiceAccount', serviceAccountSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  hospitalId: {
+    type: String,
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token that was rotated out, kept to detect refresh token reuse
+  previousTokenHash: String,
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+// Session is usable only while not revoked and not expired
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.methods.revoke = function(revokedBy, reason) {
+  this.revokedAt = new Date();
+  this.revokedBy = revokedBy;
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Revoke every active session belonging to a user
+sessionSchema.statics.revokeAllForUser = function(userId, revokedBy, reason) {
+  return this.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedBy, revokedReason: reason }
+  );
+};
+
+// Index for efficient queries
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
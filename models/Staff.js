@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const searchable = require('../utils/searchable');
+const softDelete = require('../utils/softDelete');
+const history = require('../utils/history');
 
 const staffSchema = new mongoose.Schema({
   userId: {
@@ -112,4 +115,8 @@ staffSchema.index({ hospitalId: 1, employeeId: 1 });
 staffSchema.index({ hospitalId: 1, department: 1 });
 staffSchema.index({ firstName: 1, lastName: 1 });
 
+staffSchema.plugin(searchable, { nameFields: ['firstName', 'lastName'], phoneFields: ['phone'] });
+staffSchema.plugin(softDelete);
+staffSchema.plugin(history);
+
 module.exports = mongoose.model('Staff', staffSchema);
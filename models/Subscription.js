@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Days a past-due subscription keeps its plan after the paid period ends
+const GRACE_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS) || 7;
+
+const subscriptionSchema = new mongoose.Schema({
+  hospitalId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['trialing', 'active', 'past_due', 'cancelled'],
+    default: 'active'
+  },
+  currentPeriodStart: Date,
+  currentPeriodEnd: Date,
+  // Identifiers at the payment provider
+  provider: {
+    customerId: String,
+    subscriptionId: String
+  },
+  lastPaymentAt: Date,
+  lastPaymentFailedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Whether the subscribed plan currently applies to the hospital
+subscriptionSchema.methods.isActive = function() {
+  if (this.status === 'trialing' || this.status === 'active') {
+    return true;
+  }
+  if (this.status === 'past_due') {
+    if (!this.currentPeriodEnd) return true;
+    const graceEnd = this.currentPeriodEnd.getTime() + GRACE_DAYS * 24 * 60 * 60 * 1000;
+    return Date.now() < graceEnd;
+  }
+  return false;
+};
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Export job for a hospital's data archive
+const tenantExportSchema = new mongoose.Schema({
+  hospitalId: {
+    type: String,
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  // Archive file name inside EXPORT_DIR
+  fileName: String,
+  size: Number,
+  sha256: String,
+  archiveVersion: Number,
+  // Documents per collection and number of uploaded files in the archive
+  counts: mongoose.Schema.Types.Mixed,
+  error: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+tenantExportSchema.index({ hospitalId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TenantExport', tenantExportSchema);
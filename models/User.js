@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+
+const EMAIL_VERIFICATION_EXPIRES_HOURS = 24;
+const PASSWORD_RESET_EXPIRES_MINUTES = 30;
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// Failures allowed before each further attempt has to wait
+const LOGIN_FREE_ATTEMPTS = 2;
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -21,12 +31,18 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['patient', 'doctor', 'hospitalOwner', 'staff'],
+    // serviceAccount users back API integrations and cannot log in
+    enum: ['patient', 'doctor', 'hospitalOwner', 'staff', 'serviceAccount'],
     required: true
   },
   hospitalId: {
     type: String,
-    default: process.env.DEFAULT_HOSPITAL_ID
+    required: true
+  },
+  // Custom hospital role overriding the default permissions of `role`
+  customRoleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role'
   },
   phone: String,
   avatar: String,
@@ -35,7 +51,40 @@ const userSchema = new mongoose.Schema({
     enum: ['active', 'inactive', 'suspended'],
     default: 'active'
   },
-  lastLogin: Date
+  lastLogin: Date,
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  // Only hashes of single-use tokens are stored
+  emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  passwordResetToken: String,
+  passwordResetExpires: Date,
+  passwordChangedAt: Date,
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: Date,
+    // Set while the account is suspended by an automatic lockout
+    lockedUntil: Date
+  },
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    // Secret awaiting confirmation with a first valid code
+    pendingSecret: String,
+    recoveryCodes: [String],
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: Number,
+    enabledAt: Date
+  }
 }, {
   timestamps: true
 });
@@ -45,6 +94,9 @@ userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
   try {
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
     next();
@@ -58,10 +110,199 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Generate a single-use email verification token, storing only its hash
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRES_HOURS * 60 * 60 * 1000);
+  return token;
+};
+
+// Generate a single-use password reset token, storing only its hash
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000);
+  return token;
+};
+
+// Find the user holding an unexpired token of the given kind
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() }
+  });
+};
+
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
+// Seconds the user must wait before the next login attempt is accepted
+userSchema.methods.loginDelaySeconds = function() {
+  const { failedAttempts, lastFailedAt } = this.loginSecurity;
+  if (failedAttempts <= LOGIN_FREE_ATTEMPTS || !lastFailedAt) return 0;
+
+  // Doubles with every failure: 1s, 2s, 4s, ...
+  const delay = 2 ** (failedAttempts - LOGIN_FREE_ATTEMPTS - 1);
+  const elapsed = (Date.now() - lastFailedAt.getTime()) / 1000;
+  return Math.max(0, Math.ceil(delay - elapsed));
+};
+
+userSchema.methods.isLocked = function() {
+  return Boolean(this.loginSecurity.lockedUntil && this.loginSecurity.lockedUntil > new Date());
+};
+
+// Clear an automatic lockout that has run out.
+// Returns true if a lockout was cleared.
+userSchema.methods.releaseExpiredLock = function() {
+  if (!this.loginSecurity.lockedUntil || this.isLocked()) return false;
+
+  this.unlock();
+  return true;
+};
+
+// Count a failed password or MFA attempt, locking the account once the limit is reached.
+// The counter is incremented in the database so that parallel guesses all count.
+// Resolves to the updated user and whether this failure caused a lockout.
+userSchema.statics.registerFailedLogin = async function(userId) {
+  const windowStart = new Date(Date.now() - LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+
+  // Old failures no longer count towards a lockout
+  await this.updateOne(
+    { _id: userId, 'loginSecurity.lastFailedAt': { $lt: windowStart } },
+    { $set: { 'loginSecurity.failedAttempts': 0 } }
+  );
+
+  const user = await this.findOneAndUpdate(
+    { _id: userId },
+    {
+      $inc: { 'loginSecurity.failedAttempts': 1 },
+      $set: { 'loginSecurity.lastFailedAt': new Date() }
+    },
+    { new: true }
+  );
+
+  if (!user || user.loginSecurity.failedAttempts < LOGIN_MAX_ATTEMPTS) {
+    return { user, locked: false };
+  }
+
+  // Only the failure that starts the lockout reports it
+  const lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+  const result = await this.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { 'loginSecurity.lockedUntil': null },
+        { 'loginSecurity.lockedUntil': { $lte: new Date() } }
+      ]
+    },
+    { $set: { 'loginSecurity.lockedUntil': lockedUntil } }
+  );
+  const locked = result.modifiedCount === 1;
+  if (locked) {
+    user.loginSecurity.lockedUntil = lockedUntil;
+  }
+
+  return { user, locked };
+};
+
+userSchema.methods.resetLoginAttempts = function() {
+  this.loginSecurity.failedAttempts = 0;
+  this.loginSecurity.lastFailedAt = undefined;
+};
+
+// Lifts a lockout only; the account's status is managed by administrators
+userSchema.methods.unlock = function() {
+  this.resetLoginAttempts();
+  this.loginSecurity.lockedUntil = undefined;
+};
+
+// Begin TOTP enrollment with a new secret that must be confirmed before use
+userSchema.methods.startMfaEnrollment = function() {
+  const secret = generateSecret();
+  this.mfa.pendingSecret = secret;
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(secret, this.email)
+  };
+};
+
+// Check a TOTP code against the active (or pending) secret, rejecting replays
+userSchema.methods.verifyMfaCode = function(code, secret = this.mfa.secret) {
+  const step = verifyCode(secret, code);
+  if (step === null || (this.mfa.lastUsedStep && step <= this.mfa.lastUsedStep)) {
+    return false;
+  }
+
+  this.mfa.lastUsedStep = step;
+  return true;
+};
+
+// Activate the pending secret once the user proves their app produces valid codes.
+// Returns the new recovery codes, or null when the code is wrong.
+userSchema.methods.confirmMfaEnrollment = function(code) {
+  if (!this.mfa.pendingSecret || !this.verifyMfaCode(code, this.mfa.pendingSecret)) {
+    return null;
+  }
+
+  this.mfa.enabled = true;
+  this.mfa.secret = this.mfa.pendingSecret;
+  this.mfa.pendingSecret = undefined;
+  this.mfa.enabledAt = new Date();
+  return this.generateRecoveryCodes();
+};
+
+userSchema.methods.disableMfa = function() {
+  this.mfa.enabled = false;
+  this.mfa.secret = undefined;
+  this.mfa.pendingSecret = undefined;
+  this.mfa.recoveryCodes = [];
+  this.mfa.lastUsedStep = undefined;
+  this.mfa.enabledAt = undefined;
+};
+
+// Replace the MFA recovery codes, returning the plaintext codes once
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  this.mfa.recoveryCodes = codes.map(code => hashToken(code));
+  return codes;
+};
+
+// Consume a recovery code; each code works only once
+userSchema.methods.useRecoveryCode = function(code) {
+  const codeHash = hashToken(String(code).trim().toLowerCase());
+  const index = this.mfa.recoveryCodes.indexOf(codeHash);
+  if (index === -1) return false;
+
+  this.mfa.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Remove password and secrets from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.loginSecurity;
+  if (userObject.mfa) {
+    userObject.mfa = {
+      enabled: userObject.mfa.enabled,
+      enabledAt: userObject.mfa.enabledAt,
+      recoveryCodesRemaining: (userObject.mfa.recoveryCodes || []).length
+    };
+  }
   return userObject;
 };
 
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { MEASUREMENTS, computeBmi, flagReading } = require('../utils/vitals');
+
+// One set of vital signs taken at the same time. Any measurement may be
+// missing; BMI and the abnormal-reading flags are derived on save.
+const measurementFields = Object.entries(MEASUREMENTS).reduce((fields, [name, { valid }]) => {
+  fields[name] = valid ? { type: Number, min: valid[0], max: valid[1] } : Number;
+  return fields;
+}, {});
+
+const vitalsSchema = new mongoose.Schema({
+  hospitalId: {
+    type: String,
+    required: true
+  },
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: true
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  ...measurementFields,
+  flags: [{
+    _id: false,
+    measurement: String,
+    value: Number,
+    flag: {
+      type: String,
+      enum: ['low', 'high']
+    },
+    normalRange: [Number]
+  }],
+  notes: String,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+vitalsSchema.index({ hospitalId: 1, patientId: 1, recordedAt: -1 });
+
+// BMI uses the height of this reading; routes may set it from an earlier
+// height when only the weight was taken
+vitalsSchema.pre('validate', function(next) {
+  if (this.height && this.weight) {
+    this.bmi = computeBmi(this.height, this.weight);
+  }
+  this.flags = flagReading(this);
+  next();
+});
+
+module.exports = mongoose.model('Vitals', vitalsSchema, 'vitals');
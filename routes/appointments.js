@@ -1,46 +1,179 @@
 const express = require('express');
+const { query, validationResult } = require('express-validator');
 const Appointment = require('../models/Appointment');
-const { auth, authorize } = require('../middleware/auth');
+const Patient = require('../models/Patient');
+const { auth, requirePermission } = require('../middleware/auth');
+const { attachPatientRecord, ownRecordFilter, seesClinicalFlags } = require('../middleware/patientAccess');
+const { requireFeature } = require('../middleware/subscription');
+const { getDayRange, localDateTimeToUtc, parseInstant } = require('../utils/timezone');
+const { coverageWarnings } = require('../utils/insurance');
+const { hasActiveConsent, missingConsentMessage } = require('../utils/consent');
+const { withPatientAlert } = require('../utils/patientFlags');
+const createArchiveRouter = require('./archive');
+const createHistoryRouter = require('./history');
 
 const router = express.Router();
 
+// Virtual appointments are a plan feature
+const virtualAppointmentsFeature = requireFeature('virtualAppointments', req => req.body.type === 'Virtual');
+
+// Patient fields returned with appointments; flags become the `patientAlert`
+// indicator, which patient users do not get
+const patientFields = (req) => {
+  return seesClinicalFlags(req) ? 'firstName lastName email phone flags' : 'firstName lastName email phone';
+};
+
+const SCHEDULE_FIELDS = ['startTime', 'endTime', 'appointmentDate', 'appointmentTime'];
+const INVALID_START_MESSAGE = 'Please provide a valid startTime, or appointmentDate (YYYY-MM-DD) and appointmentTime (HH:mm)';
+
+// Work out start and duration from the request body. Clients send either an
+// ISO `startTime` (read in the hospital's timezone when it has no offset) or
+// the older `appointmentDate` + `appointmentTime` pair; `endTime`, when given,
+// sets the duration. Returns { error } for values that do not parse.
+const resolveSchedule = (body, timeZone) => {
+  const schedule = {};
+
+  if (body.startTime !== undefined) {
+    schedule.startTime = parseInstant(body.startTime, timeZone);
+  } else if (body.appointmentDate !== undefined || body.appointmentTime !== undefined) {
+    schedule.startTime = localDateTimeToUtc(body.appointmentDate, body.appointmentTime, timeZone);
+  }
+
+  if (schedule.startTime === null) {
+    return { error: INVALID_START_MESSAGE };
+  }
+
+  if (body.endTime !== undefined) {
+    const endTime = parseInstant(body.endTime, timeZone);
+    if (!endTime) {
+      return { error: 'Please provide a valid endTime' };
+    }
+    schedule.endTime = endTime;
+  }
+
+  const duration = Number(body.duration);
+  if (body.duration !== undefined && !(Number.isInteger(duration) && duration > 0)) {
+    return { error: 'duration must be a positive number of minutes' };
+  }
+
+  return { schedule };
+};
+
+const withoutScheduleFields = (body) => {
+  const fields = { ...body };
+  SCHEDULE_FIELDS.forEach(field => delete fields[field]);
+  return fields;
+};
+
+// Set start and duration on an appointment; the model derives endTime.
+// Returns an error message when the end is not after the start.
+const applySchedule = (appointment, schedule) => {
+  if (schedule.startTime) {
+    appointment.startTime = schedule.startTime;
+  }
+  if (schedule.endTime) {
+    const duration = Math.round((schedule.endTime - appointment.startTime) / 60000);
+    if (duration < 1) {
+      return 'endTime must be after startTime';
+    }
+    appointment.duration = duration;
+  }
+  return null;
+};
+
+// The patient's insurance and consents, checked before an appointment is saved
+const findAppointmentPatient = (appointment) => {
+  return Patient.findOne({ _id: appointment.patientId, hospitalId: appointment.hospitalId })
+    .select('insurance consents');
+};
+
+// Virtual appointments need the patient's telehealth consent when they are
+// booked, moved or switched to virtual
+const lacksTelehealthConsent = (appointment, patient) => {
+  if (appointment.type !== 'Virtual') return false;
+  if (!appointment.isNew && !appointment.isModified('type') && !appointment.isModified('patientId') &&
+    !appointment.isModified('startTime')) return false;
+  return !patient || !hasActiveConsent(patient, 'telehealth');
+};
+
+const rejectMissingTelehealthConsent = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: `${missingConsentMessage('telehealth')}. Record it before booking a virtual appointment.`
+  });
+};
+
+// Warn the front desk when the patient's primary insurance will not cover the visit
+const insuranceWarnings = (appointment, patient) => {
+  return patient ? coverageWarnings(patient.insurance, appointment.startTime) : [];
+};
+
+// GET /archived, PUT /:id/archive, PUT /:id/restore and DELETE /:id/purge.
+// DELETE /:id only cancels; archiving removes the appointment from lists.
+router.use(createArchiveRouter({
+  Model: Appointment,
+  label: 'Appointment',
+  permission: 'appointments:write',
+  serialize: (appointment, req) => appointment.toLocalJSON(req.hospital.getTimeZone())
+}));
+
+// GET /:id/history and GET /:id/as-of
+router.use(createHistoryRouter({ Model: Appointment, label: 'Appointment', permission: 'appointments:read' }));
+
 // @route   GET /api/appointments
 // @desc    Get appointments
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', [
+  auth,
+  requirePermission('appointments:read'),
+  attachPatientRecord,
+  query('startDate').optional().isISO8601({ strict: true }).withMessage('Please provide a valid startDate'),
+  query('endDate').optional().isISO8601({ strict: true }).withMessage('Please provide a valid endDate')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
     
-    const query = { hospitalId: req.hospitalId };
+    const filter = { hospitalId: req.hospitalId, ...ownRecordFilter(req) };
     
     // Filter by status
     if (req.query.status) {
-      query.status = req.query.status;
+      filter.status = req.query.status;
     }
 
-    // Filter by date range
+    // Filter by date range, both days inclusive in the hospital's timezone
     if (req.query.startDate && req.query.endDate) {
-      query.appointmentDate = {
-        $gte: new Date(req.query.startDate),
-        $lte: new Date(req.query.endDate)
+      const timeZone = req.hospital.getTimeZone();
+      filter.startTime = {
+        $gte: getDayRange(req.query.startDate, timeZone).start,
+        $lt: getDayRange(req.query.endDate, timeZone).end
       };
     }
 
-    const appointments = await Appointment.find(query)
-      .populate('patientId', 'firstName lastName email phone')
+    const appointments = await Appointment.find(filter)
+      .populate('patientId', patientFields(req))
       .populate('doctorId', 'specialization department')
       .populate('createdBy', 'name')
-      .sort({ appointmentDate: 1, appointmentTime: 1 })
+      .sort({ startTime: 1 })
       .skip(skip)
       .limit(limit);
 
-    const total = await Appointment.countDocuments(query);
+    const total = await Appointment.countDocuments(filter);
+    const timeZone = req.hospital.getTimeZone();
 
     res.json({
       success: true,
-      data: appointments,
+      data: appointments.map(appointment => withPatientAlert(appointment.toLocalJSON(timeZone))),
       pagination: {
         page,
         limit,
@@ -63,21 +196,43 @@ router.get('/', auth, async (req, res) => {
 // @access  Private
 router.post('/', [
   auth,
-  authorize('doctor', 'hospitalOwner', 'staff')
+  requirePermission('appointments:write'),
+  virtualAppointmentsFeature
 ], async (req, res) => {
   try {
-    const appointmentData = {
-      ...req.body,
+    const timeZone = req.hospital.getTimeZone();
+    const { schedule, error } = resolveSchedule(req.body, timeZone);
+    if (error || !schedule.startTime) {
+      return res.status(400).json({
+        success: false,
+        message: error || INVALID_START_MESSAGE
+      });
+    }
+
+    const appointment = new Appointment({
+      ...withoutScheduleFields(req.body),
       hospitalId: req.hospitalId,
       createdBy: req.user._id
-    };
+    });
+    const scheduleError = applySchedule(appointment, schedule);
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError
+      });
+    }
+
+    const patient = await findAppointmentPatient(appointment);
+    if (lacksTelehealthConsent(appointment, patient)) {
+      return rejectMissingTelehealthConsent(res);
+    }
 
-    const appointment = new Appointment(appointmentData);
     await appointment.save();
+    const warnings = insuranceWarnings(appointment, patient);
 
     // Populate the created appointment
     await appointment.populate([
-      { path: 'patientId', select: 'firstName lastName email phone' },
+      { path: 'patientId', select: patientFields(req) },
       { path: 'doctorId', select: 'specialization department' },
       { path: 'createdBy', select: 'name' }
     ]);
@@ -85,7 +240,8 @@ router.post('/', [
     res.status(201).json({
       success: true,
       message: 'Appointment created successfully',
-      data: appointment
+      data: withPatientAlert(appointment.toLocalJSON(timeZone)),
+      warnings
     });
 
   } catch (error) {
@@ -102,18 +258,20 @@ router.post('/', [
 // @access  Private
 router.put('/:id', [
   auth,
-  authorize('doctor', 'hospitalOwner', 'staff')
+  requirePermission('appointments:write'),
+  virtualAppointmentsFeature
 ], async (req, res) => {
   try {
-    const appointment = await Appointment.findOneAndUpdate(
-      { _id: req.params.id, hospitalId: req.hospitalId },
-      req.body,
-      { new: true, runValidators: true }
-    ).populate([
-      { path: 'patientId', select: 'firstName lastName email phone' },
-      { path: 'doctorId', select: 'specialization department' },
-      { path: 'createdBy', select: 'name' }
-    ]);
+    const timeZone = req.hospital.getTimeZone();
+    const { schedule, error } = resolveSchedule(req.body, timeZone);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const appointment = await Appointment.findOne({ _id: req.params.id, hospitalId: req.hospitalId });
 
     if (!appointment) {
       return res.status(404).json({
@@ -122,10 +280,34 @@ router.put('/:id', [
       });
     }
 
+    appointment.set(withoutScheduleFields(req.body));
+    const scheduleError = applySchedule(appointment, schedule);
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError
+      });
+    }
+
+    const patient = await findAppointmentPatient(appointment);
+    if (lacksTelehealthConsent(appointment, patient)) {
+      return rejectMissingTelehealthConsent(res);
+    }
+
+    await appointment.save();
+    const warnings = insuranceWarnings(appointment, patient);
+
+    await appointment.populate([
+      { path: 'patientId', select: patientFields(req) },
+      { path: 'doctorId', select: 'specialization department' },
+      { path: 'createdBy', select: 'name' }
+    ]);
+
     res.json({
       success: true,
       message: 'Appointment updated successfully',
-      data: appointment
+      data: withPatientAlert(appointment.toLocalJSON(timeZone)),
+      warnings
     });
 
   } catch (error) {
@@ -142,7 +324,7 @@ router.put('/:id', [
 // @access  Private
 router.delete('/:id', [
   auth,
-  authorize('doctor', 'hospitalOwner', 'staff')
+  requirePermission('appointments:write')
 ], async (req, res) => {
   try {
     const appointment = await Appointment.findOneAndUpdate(
@@ -161,7 +343,7 @@ router.delete('/:id', [
     res.json({
       success: true,
       message: 'Appointment cancelled successfully',
-      data: appointment
+      data: appointment.toLocalJSON(req.hospital.getTimeZone())
     });
 
   } catch (error) {
@@ -176,24 +358,29 @@ router.delete('/:id', [
 // @route   GET /api/appointments/upcoming
 // @desc    Get upcoming appointments
 // @access  Private
-router.get('/upcoming', auth, async (req, res) => {
+router.get('/upcoming', [
+  auth,
+  requirePermission('appointments:read'),
+  attachPatientRecord
+], async (req, res) => {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const timeZone = req.hospital.getTimeZone();
+    const { start: startOfToday } = getDayRange(new Date(), timeZone);
 
     const upcomingAppointments = await Appointment.find({
       hospitalId: req.hospitalId,
-      appointmentDate: { $gte: today },
+      ...ownRecordFilter(req),
+      startTime: { $gte: startOfToday },
       status: { $in: ['Scheduled', 'Confirmed'] }
     })
-    .populate('patientId', 'firstName lastName email phone')
+    .populate('patientId', patientFields(req))
     .populate('doctorId', 'specialization department')
-    .sort({ appointmentDate: 1, appointmentTime: 1 })
+    .sort({ startTime: 1 })
     .limit(10);
 
     res.json({
       success: true,
-      data: upcomingAppointments
+      data: upcomingAppointments.map(appointment => withPatientAlert(appointment.toLocalJSON(timeZone)))
     });
 
   } catch (error) {
@@ -210,19 +397,23 @@ router.get('/upcoming', auth, async (req, res) => {
 // @access  Private
 router.get('/doctor/:doctorId', [
   auth,
-  authorize('doctor', 'hospitalOwner', 'staff')
+  requirePermission('appointments:read'),
+  attachPatientRecord
 ], async (req, res) => {
   try {
     const appointments = await Appointment.find({
       doctorId: req.params.doctorId,
-      hospitalId: req.hospitalId
+      hospitalId: req.hospitalId,
+      ...ownRecordFilter(req)
     })
-    .populate('patientId', 'firstName lastName email phone')
-    .sort({ appointmentDate: 1, appointmentTime: 1 });
+    .populate('patientId', patientFields(req))
+    .sort({ startTime: 1 });
+
+    const timeZone = req.hospital.getTimeZone();
 
     res.json({
       success: true,
-      data: appointments
+      data: appointments.map(appointment => withPatientAlert(appointment.toLocalJSON(timeZone)))
     });
 
   } catch (error) {
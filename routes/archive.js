@@ -0,0 +1,188 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { auth, requirePermission, rejectApiKeys, requireHospitalOwner } = require('../middleware/auth');
+const softDelete = require('../utils/softDelete');
+
+const ownerOnly = [auth, rejectApiKeys, requireHospitalOwner];
+
+// Archive routes for a model using the softDelete plugin, mounted at the top
+// of its router so that /archived is matched before /:id:
+//   GET    /archived       list archived records
+//   PUT    /:id/archive    archive a record with a reason
+//   PUT    /:id/restore    restore an archived record (hospital owner)
+//   DELETE /:id/purge      delete an archived record for good once the
+//                          retention period has passed (hospital owner)
+// Options:
+//   Model       the model
+//   label       name used in messages, e.g. 'Patient'
+//   permission  permission needed to list and archive
+//   select      (req) => projection applied to returned records
+//   serialize   (record, req) => JSON returned for a record
+const createArchiveRouter = ({
+  Model,
+  label,
+  permission,
+  select = () => '',
+  serialize = (record) => record
+}) => {
+  const router = express.Router();
+  const notFound = `${label} not found`;
+  const archivedNotFound = `Archived ${label.toLowerCase()} not found`;
+
+  const findArchived = (req) => {
+    return Model.findOne({
+      _id: req.params.id,
+      hospitalId: req.hospitalId,
+      deletedAt: { $ne: null }
+    }).select(select(req));
+  };
+
+  router.get('/archived', [
+    auth,
+    requirePermission(permission)
+  ], async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const query = { hospitalId: req.hospitalId, deletedAt: { $ne: null } };
+
+      const [records, total] = await Promise.all([
+        Model.find(query)
+          .select(select(req))
+          .populate('deletedBy', 'name email')
+          .sort({ deletedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Model.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: records.map(record => serialize(record, req)),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error(`Get archived ${label.toLowerCase()} records error:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  });
+
+  router.put('/:id/archive', [
+    auth,
+    requirePermission(permission),
+    body('reason').trim().notEmpty().withMessage('A reason is required')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation errors',
+          errors: errors.array()
+        });
+      }
+
+      const record = await Model.findOne({ _id: req.params.id, hospitalId: req.hospitalId })
+        .select(select(req));
+
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          message: notFound
+        });
+      }
+
+      await record.softDelete(req.user._id, req.body.reason);
+
+      res.json({
+        success: true,
+        message: `${label} archived successfully`,
+        data: serialize(record, req)
+      });
+
+    } catch (error) {
+      console.error(`Archive ${label.toLowerCase()} error:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  });
+
+  router.put('/:id/restore', ownerOnly, async (req, res) => {
+    try {
+      const record = await findArchived(req);
+
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          message: archivedNotFound
+        });
+      }
+
+      await record.restore();
+
+      res.json({
+        success: true,
+        message: `${label} restored successfully`,
+        data: serialize(record, req)
+      });
+
+    } catch (error) {
+      console.error(`Restore ${label.toLowerCase()} error:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  });
+
+  router.delete('/:id/purge', ownerOnly, async (req, res) => {
+    try {
+      const record = await findArchived(req);
+
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          message: archivedNotFound
+        });
+      }
+
+      const purgeableAt = record.purgeableAt();
+      if (purgeableAt > new Date()) {
+        return res.status(409).json({
+          success: false,
+          message: `Archived records are kept for ${softDelete.RETENTION_DAYS} days. This ${label.toLowerCase()} can be purged from ${purgeableAt.toISOString()}.`,
+          data: { purgeableAt }
+        });
+      }
+
+      await Model.deleteOne({ _id: record._id, hospitalId: req.hospitalId });
+
+      res.json({
+        success: true,
+        message: `${label} purged permanently`
+      });
+
+    } catch (error) {
+      console.error(`Purge ${label.toLowerCase()} error:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createArchiveRouter;
@@ -1,19 +1,123 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Hospital = require('../models/Hospital');
+const LoginActivity = require('../models/LoginActivity');
+const Invitation = require('../models/Invitation');
+const Staff = require('../models/Staff');
+const Patient = require('../models/Patient');
+const { auth, requirePermission, rejectApiKeys } = require('../middleware/auth');
+const {
+  hashToken,
+  createSession,
+  rotateSession,
+  generateMfaToken,
+  verifyMfaToken
+} = require('../utils/tokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/mailer');
 
 const router = express.Router();
 
+// Account endpoints are for people; integrations use their API key on the data routes
+router.use(rejectApiKeys);
+
+// Turn away login attempts on locked or throttled accounts.
+// Returns true if a response was sent.
+const rejectBlockedLogin = async (user, req, res) => {
+  // Lift an automatic lockout that has run out
+  if (user.releaseExpiredLock()) {
+    await user.save();
+  }
+
+  if (user.isLocked()) {
+    await LoginActivity.record(user, req, 'login_while_locked', { suspicious: true });
+    const retryAfter = Math.ceil((user.loginSecurity.lockedUntil - Date.now()) / 1000);
+    res.set('Retry-After', String(retryAfter));
+    res.status(423).json({
+      success: false,
+      message: 'Account temporarily locked due to too many failed login attempts. Please try again later.'
+    });
+    return true;
+  }
+
+  const delay = user.loginDelaySeconds();
+  if (delay > 0) {
+    await LoginActivity.record(user, req, 'login_throttled', { suspicious: true });
+    res.set('Retry-After', String(delay));
+    res.status(429).json({
+      success: false,
+      message: `Too many failed login attempts. Please wait ${delay} seconds and try again.`
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// Count a failed attempt and record it, locking the account at the limit and
+// ending its sessions. Returns true if the account is now locked.
+const handleFailedLogin = async (user, req, type) => {
+  const { user: updatedUser, locked } = await User.registerFailedLogin(user._id);
+  const failedUser = updatedUser || user;
+
+  await LoginActivity.record(failedUser, req, type, { suspicious: failedUser.loginDelaySeconds() > 0 });
+  if (locked) {
+    await LoginActivity.record(failedUser, req, 'account_locked', {
+      suspicious: true,
+      reason: `${failedUser.loginSecurity.failedAttempts} consecutive failed login attempts`
+    });
+    // Whoever is guessing may already hold a session
+    await Session.revokeAllForUser(user._id, null, 'Account locked');
+  }
+
+  return locked;
+};
+
+// Record the login, start a session and send the token pair
+const completeLogin = async (user, req, res, extraData = {}) => {
+  const { failedAttempts } = user.loginSecurity;
+  if (failedAttempts > 0) {
+    await LoginActivity.record(user, req, 'login_success', {
+      suspicious: true,
+      reason: `Succeeded after ${failedAttempts} failed attempts`
+    });
+  }
+
+  user.resetLoginAttempts();
+  user.lastLogin = new Date();
+  await user.save();
+
+  const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified
+      },
+      token,
+      refreshToken,
+      expiresIn,
+      ...extraData
+    }
+  });
+};
+
 // @route   POST /api/auth/register
-// @desc    Register a new user
+// @desc    Register a new patient account
 // @access  Public
 router.post('/register', [
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('email').isEmail().withMessage('Please provide a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').isIn(['patient', 'doctor', 'hospitalOwner', 'staff']).withMessage('Invalid role')
+  body('hospitalId').isMongoId().withMessage('Please provide a valid hospital ID'),
+  body('role').optional().equals('patient').withMessage('Only patient accounts can self-register. Other roles join by invitation.')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -25,7 +129,22 @@ router.post('/register', [
       });
     }
 
-    const { name, email, password, role } = req.body;
+    const { name, email, password, hospitalId } = req.body;
+
+    const hospital = await Hospital.findByTenantId(hospitalId);
+    if (!hospital || !hospital.isActive()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hospital not found or not active'
+      });
+    }
+
+    if (!hospital.settings.registration.publicRegistrationEnabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Self-registration is disabled for this hospital. Please ask for an invitation.'
+      });
+    }
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -41,23 +160,41 @@ router.post('/register', [
       name,
       email,
       password,
-      role,
-      hospitalId: process.env.DEFAULT_HOSPITAL_ID
+      role: 'patient',
+      hospitalId: hospital._id.toString()
     });
 
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user._id, 
-        email: user.email, 
-        role: user.role,
-        hospitalId: user.hospitalId 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // Registration succeeds even if the mail cannot be sent; the user can resend it
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Send verification email error:', mailError);
+    }
+
+    // Roles that must use MFA get no session until they have enrolled
+    if (hospital.requiresMfa(user.role)) {
+      return res.status(201).json({
+        success: true,
+        message: 'User registered successfully. Multi-factor authentication must be set up before login.',
+        data: {
+          user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            emailVerified: user.emailVerified
+          },
+          mfaSetupRequired: true,
+          mfaToken: generateMfaToken(user, 'mfa-enroll')
+        }
+      });
+    }
+
+    // Start a session and issue access + refresh tokens
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
@@ -67,9 +204,12 @@ router.post('/register', [
           id: user._id,
           name: user.name,
           email: user.email,
-          role: user.role
+          role: user.role,
+          emailVerified: user.emailVerified
         },
-        token
+        token,
+        refreshToken,
+        expiresIn
       }
     });
 
@@ -82,6 +222,174 @@ router.post('/register', [
   }
 });
 
+// @route   GET /api/auth/invitations/:token
+// @desc    Get the details of an invitation before accepting it
+// @access  Public
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await Invitation.findByToken(req.params.token);
+
+    if (!invitation || !invitation.isUsable()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: invitation.email,
+        name: invitation.name,
+        role: invitation.role,
+        hospitalId: invitation.hospitalId,
+        expiresAt: invitation.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/accept-invitation
+// @desc    Create an account from an invitation
+// @access  Public
+router.post('/accept-invitation', [
+  body('token').notEmpty().withMessage('Invitation token is required'),
+  body('name').optional().trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await Invitation.findByToken(req.body.token);
+    if (!invitation || !invitation.isUsable()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    const hospital = await Hospital.findByTenantId(invitation.hospitalId);
+    if (!hospital || !hospital.isActive()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Hospital account is not active'
+      });
+    }
+
+    const name = req.body.name || invitation.name;
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required'
+      });
+    }
+
+    const existingUser = await User.findOne({ email: invitation.email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    // The invitation link was delivered to this address, so it is verified
+    const user = new User({
+      name,
+      email: invitation.email,
+      password: req.body.password,
+      role: invitation.role,
+      hospitalId: invitation.hospitalId,
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+    await user.save();
+
+    if (invitation.role === 'staff' && invitation.staffData) {
+      try {
+        const staff = new Staff({
+          ...invitation.staffData,
+          email: invitation.email,
+          userId: user._id,
+          hospitalId: invitation.hospitalId
+        });
+        await staff.save();
+      } catch (staffError) {
+        // Do not leave an account without its staff profile behind
+        await User.deleteOne({ _id: user._id });
+        throw staffError;
+      }
+    }
+
+    // Give the new portal account access to the patient record it was invited for
+    if (invitation.role === 'patient' && invitation.patientId) {
+      await Patient.updateOne(
+        { _id: invitation.patientId, hospitalId: invitation.hospitalId, userId: null },
+        { userId: user._id }
+      );
+    }
+
+    invitation.status = 'accepted';
+    invitation.acceptedAt = new Date();
+    invitation.acceptedUserId = user._id;
+    await invitation.save();
+
+    const userData = {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      emailVerified: user.emailVerified
+    };
+
+    // Roles that must use MFA get no session until they have enrolled
+    if (hospital.requiresMfa(user.role)) {
+      return res.status(201).json({
+        success: true,
+        message: 'Invitation accepted. Multi-factor authentication must be set up before login.',
+        data: {
+          user: userData,
+          mfaSetupRequired: true,
+          mfaToken: generateMfaToken(user, 'mfa-enroll')
+        }
+      });
+    }
+
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted successfully',
+      data: {
+        user: userData,
+        token,
+        refreshToken,
+        expiresIn
+      }
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while accepting invitation'
+    });
+  }
+});
+
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
@@ -103,54 +411,223 @@ router.post('/login', [
 
     // Find user by email
     const user = await User.findOne({ email });
-    if (!user) {
+    if (!user || user.role === 'serviceAccount') {
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
+    if (await rejectBlockedLogin(user, req, res)) return;
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const locked = await handleFailedLogin(user, req, 'login_failed');
+      return res.status(locked ? 423 : 401).json({
+        success: false,
+        message: locked
+          ? 'Account temporarily locked due to too many failed login attempts. Please try again later.'
+          : 'Invalid email or password'
+      });
+    }
+
+    if (user.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is not active. Please contact your hospital administrator.'
+      });
+    }
+
+    const hospital = await Hospital.findByTenantId(user.hospitalId);
+    if (!hospital || !hospital.isActive()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Hospital account is not active'
+      });
+    }
+
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before logging in'
+      });
+    }
+
+    // Second step: a TOTP code is needed before a session is issued
+    if (user.mfa.enabled) {
+      return res.json({
+        success: true,
+        message: 'MFA code required',
+        data: {
+          mfaRequired: true,
+          mfaToken: generateMfaToken(user, 'mfa-login')
+        }
+      });
+    }
+
+    if (hospital.requiresMfa(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your hospital requires multi-factor authentication. Please set it up to continue.',
+        data: {
+          mfaSetupRequired: true,
+          mfaToken: generateMfaToken(user, 'mfa-enroll')
+        }
+      });
+    }
+
+    await completeLogin(user, req, res);
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/login/mfa
+// @desc    Complete login with a TOTP or recovery code
+// @access  Public (requires mfaToken from login)
+router.post('/login/mfa', [
+  body('mfaToken').notEmpty().withMessage('MFA token is required'),
+  body().custom(value => value.code || value.recoveryCode).withMessage('Authentication code or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const decoded = verifyMfaToken(req.body.mfaToken, 'mfa-login');
+    const user = decoded && await User.findById(decoded.userId);
+    if (!user || !user.mfa.enabled) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid email or password'
+        message: 'MFA session has expired. Please login again.'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    if (await rejectBlockedLogin(user, req, res)) return;
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user._id, 
-        email: user.email, 
-        role: user.role,
-        hospitalId: user.hospitalId 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    const { code, recoveryCode } = req.body;
+    const isValid = code ? user.verifyMfaCode(code) : user.useRecoveryCode(recoveryCode);
+    if (!isValid) {
+      const locked = await handleFailedLogin(user, req, 'mfa_failed');
+      return res.status(locked ? 423 : 401).json({
+        success: false,
+        message: locked
+          ? 'Account temporarily locked due to too many failed login attempts. Please try again later.'
+          : 'Invalid authentication code'
+      });
+    }
+
+    await completeLogin(user, req, res, code ? {} : {
+      recoveryCodesRemaining: user.mfa.recoveryCodes.length
+    });
+
+  } catch (error) {
+    console.error('MFA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/login/mfa/setup
+// @desc    Start required MFA enrollment during login
+// @access  Public (requires mfaToken from login)
+router.post('/login/mfa/setup', [
+  body('mfaToken').notEmpty().withMessage('MFA token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const decoded = verifyMfaToken(req.body.mfaToken, 'mfa-enroll');
+    const user = decoded && await User.findById(decoded.userId);
+    if (!user || user.mfa.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'MFA session has expired. Please login again.'
+      });
+    }
+
+    const enrollment = user.startMfaEnrollment();
+    await user.save();
 
     res.json({
       success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        },
-        token
-      }
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: enrollment
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('MFA login setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/login/mfa/enroll
+// @desc    Confirm required MFA enrollment and complete login
+// @access  Public (requires mfaToken from login)
+router.post('/login/mfa/enroll', [
+  body('mfaToken').notEmpty().withMessage('MFA token is required'),
+  body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const decoded = verifyMfaToken(req.body.mfaToken, 'mfa-enroll');
+    const user = decoded && await User.findById(decoded.userId);
+    if (!user || user.mfa.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'MFA session has expired. Please login again.'
+      });
+    }
+
+    if (await rejectBlockedLogin(user, req, res)) return;
+
+    // Codes guessed here count towards the lockout, as on /login/mfa
+    const recoveryCodes = user.confirmMfaEnrollment(req.body.code);
+    if (!recoveryCodes) {
+      const locked = await handleFailedLogin(user, req, 'mfa_failed');
+      return res.status(locked ? 423 : 401).json({
+        success: false,
+        message: locked
+          ? 'Account temporarily locked due to too many failed login attempts. Please try again later.'
+          : 'Invalid authentication code'
+      });
+    }
+
+    await completeLogin(user, req, res, { recoveryCodes });
+
+  } catch (error) {
+    console.error('MFA login enroll error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error during login'
@@ -178,14 +655,557 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
-// @access  Private
-router.post('/logout', auth, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with the emailed token
+// @access  Public
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByEmailVerificationToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    // Same response whether or not the account exists, to avoid email enumeration
+    if (user && user.status === 'active' && user.role !== 'serviceAccount') {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+      await sendPasswordResetEmail(user, resetToken);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the emailed token
+// @access  Public
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByPasswordResetToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // Receiving the reset link proves ownership of the email address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Sign out any session that may have been opened with the old password
+    await Session.revokeAllForUser(user._id, user._id, 'Password reset');
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please login with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const tokenHash = hashToken(req.body.refreshToken);
+
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+    if (!session) {
+      // A rotated-out token being replayed means it has leaked; kill that session
+      const reusedSession = await Session.findOne({ previousTokenHash: tokenHash });
+      if (reusedSession && !reusedSession.revokedAt) {
+        await reusedSession.revoke(null, 'Refresh token reuse detected');
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    if (!session.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked. Please login again.'
+      });
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || user.status !== 'active' || user.isLocked()) {
+      await session.revoke(null, 'User no longer active');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    const rotated = await rotateSession(session, user, req);
+    if (!rotated) {
+      // Another refresh used this token first: the same reuse as above
+      await session.revoke(null, 'Refresh token reuse detected');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+    const { token, refreshToken, expiresIn } = rotated;
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token,
+        refreshToken,
+        expiresIn
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout user and revoke the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await req.authSession.revoke(req.user._id, 'Logged out');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke every session of the current user
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, req.user._id, 'Logged out everywhere');
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices successfully',
+      data: {
+        revokedSessions: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Get active sessions of the current user
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+    .select('userAgent ipAddress lastUsedAt expiresAt createdAt')
+    .sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke(req.user._id, 'Revoked by user');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/users/:userId/logout-all
+// @desc    Revoke every session of a user in the hospital
+// @access  Private (users:manage)
+router.post('/users/:userId/logout-all', [
+  auth,
+  requirePermission('users:manage')
+], async (req, res) => {
+  try {
+    const user = await User.findOne({
+      _id: req.params.userId,
+      hospitalId: req.hospitalId
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const result = await Session.revokeAllForUser(user._id, req.user._id, 'Revoked by hospital owner');
+
+    res.json({
+      success: true,
+      message: 'User logged out from all devices successfully',
+      data: {
+        revokedSessions: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/registration-policy
+// @desc    Get whether patients may self-register
+// @access  Private (settings:manage)
+router.get('/registration-policy', [
+  auth,
+  requirePermission('settings:manage')
+], async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: req.hospital.settings.registration
+    });
+
+  } catch (error) {
+    console.error('Get registration policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/auth/registration-policy
+// @desc    Turn patient self-registration on or off
+// @access  Private (settings:manage)
+router.put('/registration-policy', [
+  auth,
+  requirePermission('settings:manage'),
+  body('publicRegistrationEnabled').isBoolean().withMessage('publicRegistrationEnabled must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const hospital = await Hospital.findByIdAndUpdate(
+      req.hospital._id,
+      { 'settings.registration.publicRegistrationEnabled': req.body.publicRegistrationEnabled },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Registration policy updated successfully',
+      data: hospital.settings.registration
+    });
+
+  } catch (error) {
+    console.error('Update registration policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/users/:userId/unlock
+// @desc    Lift a login lockout on a hospital user
+// @access  Private (users:manage)
+router.post('/users/:userId/unlock', [
+  auth,
+  requirePermission('users:manage')
+], async (req, res) => {
+  try {
+    const user = await User.findOne({
+      _id: req.params.userId,
+      hospitalId: req.hospitalId
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.loginSecurity.lockedUntil && user.loginSecurity.failedAttempts === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'User account is not locked'
+      });
+    }
+
+    user.unlock();
+    await user.save();
+
+    await LoginActivity.record(user, req, 'account_unlocked', {
+      performedBy: req.user._id,
+      reason: 'Unlocked by hospital owner'
+    });
+
+    res.json({
+      success: true,
+      message: 'User account unlocked successfully'
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/users/:userId/login-activity
+// @desc    Get login activity of a hospital user
+// @access  Private (users:manage)
+router.get('/users/:userId/login-activity', [
+  auth,
+  requirePermission('users:manage')
+], async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {
+      userId: req.params.userId,
+      hospitalId: req.hospitalId
+    };
+
+    // Filter to suspicious events only
+    if (req.query.suspicious === 'true') {
+      query.suspicious = true;
+    }
+
+    const activity = await LoginActivity.find(query)
+      .populate('performedBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await LoginActivity.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: activity,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get login activity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
 });
 
 module.exports = router;
@@ -3,16 +3,23 @@ const Patient = require('../models/Patient');
 const Doctor = require('../models/Doctor');
 const Staff = require('../models/Staff');
 const Appointment = require('../models/Appointment');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
+const { requireFeature } = require('../middleware/subscription');
+const { getDayRange, startOfDaysAgo } = require('../utils/timezone');
+const { withPatientAlert } = require('../utils/patientFlags');
 
 const router = express.Router();
 
 // @route   GET /api/dashboard/stats
 // @desc    Get dashboard statistics
 // @access  Private
-router.get('/stats', auth, async (req, res) => {
+router.get('/stats', [
+  auth,
+  requirePermission('dashboard:read')
+], async (req, res) => {
   try {
     const hospitalId = req.hospitalId;
+    const today = getDayRange(new Date(), req.hospital.getTimeZone());
 
     // Get counts for different entities
     const [
@@ -28,14 +35,11 @@ router.get('/stats', auth, async (req, res) => {
       Staff.countDocuments({ hospitalId, status: 'active' }),
       Appointment.countDocuments({
         hospitalId,
-        appointmentDate: {
-          $gte: new Date(new Date().setHours(0, 0, 0, 0)),
-          $lt: new Date(new Date().setHours(23, 59, 59, 999))
-        }
+        startTime: { $gte: today.start, $lt: today.end }
       }),
       Appointment.countDocuments({
         hospitalId,
-        appointmentDate: { $gt: new Date() },
+        startTime: { $gt: new Date() },
         status: { $in: ['Scheduled', 'Confirmed'] }
       }),
       Appointment.countDocuments({
@@ -68,7 +72,10 @@ router.get('/stats', auth, async (req, res) => {
 // @route   GET /api/dashboard/recent-patients
 // @desc    Get recently registered patients
 // @access  Private
-router.get('/recent-patients', auth, async (req, res) => {
+router.get('/recent-patients', [
+  auth,
+  requirePermission('dashboard:read')
+], async (req, res) => {
   try {
     const recentPatients = await Patient.find({ hospitalId: req.hospitalId })
       .sort({ createdAt: -1 })
@@ -90,29 +97,28 @@ router.get('/recent-patients', auth, async (req, res) => {
 });
 
 // @route   GET /api/dashboard/today-appointments
-// @desc    Get today's appointments
+// @desc    Get today's appointments, each with its patient's alert indicator
 // @access  Private
-router.get('/today-appointments', auth, async (req, res) => {
+router.get('/today-appointments', [
+  auth,
+  requirePermission('dashboard:read')
+], async (req, res) => {
   try {
-    const today = new Date();
-    const startOfDay = new Date(today.setHours(0, 0, 0, 0));
-    const endOfDay = new Date(today.setHours(23, 59, 59, 999));
+    const timeZone = req.hospital.getTimeZone();
+    const today = getDayRange(new Date(), timeZone);
 
     const todayAppointments = await Appointment.find({
       hospitalId: req.hospitalId,
-      appointmentDate: {
-        $gte: startOfDay,
-        $lte: endOfDay
-      }
+      startTime: { $gte: today.start, $lt: today.end }
     })
-    .populate('patientId', 'firstName lastName')
+    .populate('patientId', 'firstName lastName flags')
     .populate('doctorId', 'specialization')
-    .sort({ appointmentTime: 1 })
+    .sort({ startTime: 1 })
     .limit(10);
 
     res.json({
       success: true,
-      data: todayAppointments
+      data: todayAppointments.map(appointment => withPatientAlert(appointment.toLocalJSON(timeZone)))
     });
 
   } catch (error) {
@@ -127,22 +133,26 @@ router.get('/today-appointments', auth, async (req, res) => {
 // @route   GET /api/dashboard/appointment-trends
 // @desc    Get appointment trends for the last 7 days
 // @access  Private
-router.get('/appointment-trends', auth, async (req, res) => {
+router.get('/appointment-trends', [
+  auth,
+  requirePermission('dashboard:read')
+], async (req, res) => {
   try {
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+    // Days are grouped by the hospital's local calendar, today included
+    const timeZone = req.hospital.getTimeZone();
+    const sevenDaysAgo = startOfDaysAgo(6, timeZone);
 
     const appointmentTrends = await Appointment.aggregate([
       {
         $match: {
           hospitalId: req.hospitalId,
-          appointmentDate: { $gte: sevenDaysAgo }
+          startTime: { $gte: sevenDaysAgo }
         }
       },
       {
         $group: {
           _id: {
-            $dateToString: { format: "%Y-%m-%d", date: "$appointmentDate" }
+            $dateToString: { format: "%Y-%m-%d", date: "$startTime", timezone: timeZone }
           },
           count: { $sum: 1 }
         }
@@ -169,7 +179,8 @@ router.get('/appointment-trends', auth, async (req, res) => {
 // @access  Private
 router.get('/department-stats', [
   auth,
-  authorize('hospitalOwner', 'staff')
+  requirePermission('dashboard:analytics'),
+  requireFeature('analytics')
 ], async (req, res) => {
   try {
     const departmentStats = await Staff.aggregate([
@@ -207,17 +218,17 @@ router.get('/department-stats', [
 // @access  Private
 router.get('/doctor-workload', [
   auth,
-  authorize('hospitalOwner', 'staff')
+  requirePermission('dashboard:analytics'),
+  requireFeature('analytics')
 ], async (req, res) => {
   try {
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    const thirtyDaysAgo = startOfDaysAgo(30, req.hospital.getTimeZone());
 
     const doctorWorkload = await Appointment.aggregate([
       {
         $match: {
           hospitalId: req.hospitalId,
-          appointmentDate: { $gte: thirtyDaysAgo },
+          startTime: { $gte: thirtyDaysAgo },
           status: { $in: ['Completed', 'Confirmed', 'Scheduled'] }
         }
       },
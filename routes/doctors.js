@@ -1,14 +1,26 @@
 const express = require('express');
 const Doctor = require('../models/Doctor');
 const User = require('../models/User');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
+const { enforceQuota } = require('../middleware/subscription');
+const createArchiveRouter = require('./archive');
+const createHistoryRouter = require('./history');
 
 const router = express.Router();
 
+// GET /archived, PUT /:id/archive, PUT /:id/restore and DELETE /:id/purge
+router.use(createArchiveRouter({ Model: Doctor, label: 'Doctor', permission: 'doctors:write' }));
+
+// GET /:id/history and GET /:id/as-of
+router.use(createHistoryRouter({ Model: Doctor, label: 'Doctor', permission: 'doctors:read' }));
+
 // @route   GET /api/doctors
 // @desc    Get all doctors
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', [
+  auth,
+  requirePermission('doctors:read')
+], async (req, res) => {
   try {
     const doctors = await Doctor.find({ hospitalId: req.hospitalId })
       .populate('userId', 'name email phone avatar')
@@ -31,7 +43,10 @@ router.get('/', auth, async (req, res) => {
 // @route   GET /api/doctors/:id
 // @desc    Get single doctor
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', [
+  auth,
+  requirePermission('doctors:read')
+], async (req, res) => {
   try {
     const doctor = await Doctor.findOne({
       _id: req.params.id,
@@ -64,7 +79,8 @@ router.get('/:id', auth, async (req, res) => {
 // @access  Private
 router.post('/', [
   auth,
-  authorize('hospitalOwner', 'doctor')
+  requirePermission('doctors:write'),
+  enforceQuota('doctors')
 ], async (req, res) => {
   try {
     const doctorData = {
@@ -99,7 +115,7 @@ router.post('/', [
 // @access  Private
 router.put('/:id', [
   auth,
-  authorize('hospitalOwner', 'doctor')
+  requirePermission('doctors:write')
 ], async (req, res) => {
   try {
     const doctor = await Doctor.findOneAndUpdate(
@@ -133,7 +149,10 @@ router.put('/:id', [
 // @route   GET /api/doctors/available
 // @desc    Get available doctors
 // @access  Private
-router.get('/available', auth, async (req, res) => {
+router.get('/available', [
+  auth,
+  requirePermission('doctors:read')
+], async (req, res) => {
   try {
     const availableDoctors = await Doctor.find({
       hospitalId: req.hospitalId,
@@ -0,0 +1,227 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const EmergencyAccess = require('../models/EmergencyAccess');
+const Patient = require('../models/Patient');
+const { auth, requirePermission, rejectApiKeys } = require('../middleware/auth');
+const { notify } = require('../utils/notifications');
+const { stringParam } = require('../utils/search');
+
+const router = express.Router();
+
+const DEFAULT_DURATION_MINUTES = 60;
+const MAX_DURATION_MINUTES = 240;
+const REVIEW_STATUSES = EmergencyAccess.schema.path('review.status').enumValues;
+
+// Emergency access is always tied to a person who can be held accountable
+router.use(rejectApiKeys);
+
+// @route   POST /api/emergency-access
+// @desc    Break the glass: get time-limited access to one patient's chart
+// @access  Private (patients:emergency-access)
+router.post('/', [
+  auth,
+  requirePermission('patients:emergency-access'),
+  body('patientId').isMongoId().withMessage('Invalid patient ID'),
+  body('reason').trim().isLength({ min: 20 }).withMessage('Please describe the emergency in at least 20 characters'),
+  body('durationMinutes').optional().isInt({ min: 5, max: MAX_DURATION_MINUTES })
+    .withMessage(`durationMinutes must be between 5 and ${MAX_DURATION_MINUTES}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const patient = await Patient.findOne({
+      _id: req.body.patientId,
+      hospitalId: req.hospitalId
+    });
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    const durationMinutes = parseInt(req.body.durationMinutes) || DEFAULT_DURATION_MINUTES;
+
+    const access = new EmergencyAccess({
+      hospitalId: req.hospitalId,
+      userId: req.user._id,
+      patientId: patient._id,
+      reason: req.body.reason,
+      expiresAt: new Date(Date.now() + durationMinutes * 60 * 1000),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    await access.save();
+
+    notify('emergencyAccess.granted', { access, user: req.user, patient });
+
+    res.status(201).json({
+      success: true,
+      message: 'Emergency access granted. This access is logged and will be reviewed.',
+      data: {
+        access,
+        patient
+      }
+    });
+
+  } catch (error) {
+    console.error('Grant emergency access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/emergency-access/active
+// @desc    Get the current user's unexpired emergency access grants
+// @access  Private (patients:emergency-access)
+router.get('/active', [
+  auth,
+  requirePermission('patients:emergency-access')
+], async (req, res) => {
+  try {
+    const grants = await EmergencyAccess.find({
+      hospitalId: req.hospitalId,
+      userId: req.user._id,
+      expiresAt: { $gt: new Date() }
+    })
+    .populate('patientId', 'firstName lastName dateOfBirth')
+    .sort({ expiresAt: 1 });
+
+    res.json({
+      success: true,
+      data: grants
+    });
+
+  } catch (error) {
+    console.error('Get active emergency access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/emergency-access/review
+// @desc    Get the emergency access review queue
+// @access  Private (compliance:review)
+router.get('/review', [
+  auth,
+  requirePermission('compliance:review'),
+  query('status').optional().isIn(REVIEW_STATUSES).withMessage(`status must be one of: ${REVIEW_STATUSES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {
+      hospitalId: req.hospitalId,
+      'review.status': stringParam(req.query.status) || 'pending'
+    };
+
+    const entries = await EmergencyAccess.find(filter)
+      .populate('userId', 'name email role')
+      .populate('patientId', 'firstName lastName')
+      .populate('review.reviewedBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await EmergencyAccess.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get emergency access review queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/emergency-access/:id/review
+// @desc    Record the outcome of an emergency access review
+// @access  Private (compliance:review)
+router.put('/:id/review', [
+  auth,
+  requirePermission('compliance:review'),
+  body('status').isIn(['approved', 'flagged']).withMessage('Status must be approved or flagged'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const entry = await EmergencyAccess.findOneAndUpdate(
+      { _id: req.params.id, hospitalId: req.hospitalId },
+      {
+        'review.status': req.body.status,
+        'review.reviewedBy': req.user._id,
+        'review.reviewedAt': new Date(),
+        'review.notes': req.body.notes
+      },
+      { new: true }
+    );
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Emergency access entry not found'
+      });
+    }
+
+    if (req.body.status === 'flagged') {
+      notify('emergencyAccess.flagged', { access: entry, reviewer: req.user });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review recorded successfully',
+      data: entry
+    });
+
+  } catch (error) {
+    console.error('Review emergency access error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
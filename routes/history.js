@@ -0,0 +1,136 @@
+const express = require('express');
+const { auth, requirePermission } = require('../middleware/auth');
+const { parseInstant } = require('../utils/timezone');
+
+// Change history routes for a model using the history plugin:
+//   GET /:id/history   versions of a record, newest first (?path=&page=&limit=)
+//   GET /:id/as-of     the record as it was at ?at= (ISO date-time, read in
+//                      the hospital's timezone when it has no offset)
+// Options:
+//   Model       the model
+//   label       name used in messages, e.g. 'Patient'
+//   permission  permission needed to read the record
+//   guards      further middleware run before either route
+//   hidden      (req) => top-level fields the caller may not see
+const createHistoryRouter = ({
+  Model,
+  label,
+  permission,
+  guards = [],
+  hidden = () => []
+}) => {
+  const router = express.Router();
+  const notFound = `${label} not found`;
+  const access = [auth, requirePermission(permission, 'records:history'), ...guards];
+
+  const isHidden = (fields, path) => fields.some(field => path === field || path.startsWith(`${field}.`));
+
+  const findRecord = (req) => Model.findOne({ _id: req.params.id, hospitalId: req.hospitalId });
+
+  // @route   GET /:id/history
+  // @desc    Get the versions of a record
+  // @access  Private (records:history)
+  router.get('/:id/history', access, async (req, res) => {
+    try {
+      const record = await findRecord(req);
+
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          message: notFound
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const path = typeof req.query.path === 'string' ? req.query.path.trim() : undefined;
+      const hiddenFields = hidden(req);
+
+      if (path && isHidden(hiddenFields, path)) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. You cannot view the history of ${path}.`
+        });
+      }
+
+      const [entries, total] = await record.history({ path, page, limit });
+
+      res.json({
+        success: true,
+        data: entries.map(entry => ({
+          version: entry.version,
+          action: entry.action,
+          changedAt: entry.changedAt,
+          changedBy: entry.changedBy,
+          apiKeyId: entry.apiKeyId,
+          changes: entry.changes.filter(change => !isHidden(hiddenFields, change.path))
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error(`Get ${label.toLowerCase()} history error:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  });
+
+  // @route   GET /:id/as-of
+  // @desc    Get a record as it was at a point in time
+  // @access  Private (records:history)
+  router.get('/:id/as-of', access, async (req, res) => {
+    try {
+      const at = parseInstant(req.query.at, req.hospital.getTimeZone());
+
+      if (!at) {
+        return res.status(400).json({
+          success: false,
+          message: 'at must be an ISO date-time'
+        });
+      }
+
+      const record = await findRecord(req);
+
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          message: notFound
+        });
+      }
+
+      const past = await record.asOf(at);
+
+      if (!past) {
+        return res.status(404).json({
+          success: false,
+          message: `${label} did not exist yet at ${at.toISOString()}`
+        });
+      }
+
+      hidden(req).forEach(field => delete past.data[field]);
+
+      res.json({
+        success: true,
+        data: past
+      });
+
+    } catch (error) {
+      console.error(`Get ${label.toLowerCase()} as of date error:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createHistoryRouter;
@@ -0,0 +1,402 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const Hospital = require('../models/Hospital');
+const User = require('../models/User');
+const TenantExport = require('../models/TenantExport');
+const { auth, requirePermission, rejectApiKeys, requireHospitalOwner } = require('../middleware/auth');
+const { createSession } = require('../utils/tokens');
+const { sendVerificationEmail } = require('../utils/mailer');
+const { isValidTimeZone } = require('../utils/timezone');
+const { runExportJob, getExportPath } = require('../utils/tenantArchive');
+
+const router = express.Router();
+
+const LOGO_DIR = path.join('uploads', 'logos');
+
+const logoUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(LOGO_DIR, { recursive: true }, (error) => cb(error, LOGO_DIR));
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${req.hospitalId}-${Date.now()}${path.extname(file.originalname).toLowerCase()}`);
+    }
+  }),
+  limits: { fileSize: 2 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    cb(null, ['image/png', 'image/jpeg', 'image/svg+xml', 'image/webp'].includes(file.mimetype));
+  }
+});
+
+// Exports contain every record of the hospital, so only its owner may run them
+const ownerOnly = [auth, rejectApiKeys, requireHospitalOwner];
+
+// Fields a hospital owner may change on the tenant record
+const EDITABLE_FIELDS = ['name', 'email', 'phone', 'address', 'logo'];
+
+// @route   POST /api/hospitals
+// @desc    Register a hospital together with its first owner account
+// @access  Public
+router.post('/', [
+  body('hospital.name').trim().isLength({ min: 2 }).withMessage('Hospital name must be at least 2 characters'),
+  body('hospital.registrationNumber').trim().notEmpty().withMessage('Registration number is required'),
+  body('hospital.email').optional().isEmail().withMessage('Please provide a valid hospital email'),
+  body('hospital.timezone').optional().custom(isValidTimeZone).withMessage('Please provide a valid IANA timezone'),
+  body('owner.name').trim().isLength({ min: 2 }).withMessage('Owner name must be at least 2 characters'),
+  body('owner.email').isEmail().withMessage('Please provide a valid owner email'),
+  body('owner.password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { hospital: hospitalData, owner: ownerData } = req.body;
+
+    const existingHospital = await Hospital.findOne({ registrationNumber: hospitalData.registrationNumber });
+    if (existingHospital) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hospital with this registration number already exists'
+      });
+    }
+
+    const existingUser = await User.findOne({ email: ownerData.email.toLowerCase() });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    let hospital;
+    let owner;
+    let verificationToken;
+
+    // Hospital and owner are created together or not at all
+    const dbSession = await mongoose.startSession();
+    try {
+      await dbSession.withTransaction(async () => {
+        hospital = new Hospital({
+          name: hospitalData.name,
+          registrationNumber: hospitalData.registrationNumber,
+          email: hospitalData.email,
+          phone: hospitalData.phone,
+          address: hospitalData.address,
+          settings: { timezone: hospitalData.timezone }
+        });
+
+        owner = new User({
+          name: ownerData.name,
+          email: ownerData.email,
+          password: ownerData.password,
+          phone: ownerData.phone,
+          role: 'hospitalOwner',
+          hospitalId: hospital._id.toString()
+        });
+        verificationToken = owner.createEmailVerificationToken();
+
+        hospital.ownerId = owner._id;
+
+        await hospital.save({ session: dbSession });
+        await owner.save({ session: dbSession });
+      });
+    } finally {
+      await dbSession.endSession();
+    }
+
+    try {
+      await sendVerificationEmail(owner, verificationToken);
+    } catch (mailError) {
+      console.error('Send verification email error:', mailError);
+    }
+
+    const { token, refreshToken, expiresIn } = await createSession(owner, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Hospital registered successfully',
+      data: {
+        hospital,
+        user: {
+          id: owner._id,
+          name: owner.name,
+          email: owner.email,
+          role: owner.role,
+          emailVerified: owner.emailVerified
+        },
+        token,
+        refreshToken,
+        expiresIn
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hospital or owner already exists'
+      });
+    }
+
+    console.error('Register hospital error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during hospital registration'
+    });
+  }
+});
+
+// @route   GET /api/hospitals/current
+// @desc    Get the current user's hospital
+// @access  Private
+router.get('/current', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: req.hospital
+    });
+  } catch (error) {
+    console.error('Get hospital error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/hospitals/current
+// @desc    Update the hospital's profile
+// @access  Private (settings:manage)
+router.put('/current', [
+  auth,
+  requirePermission('settings:manage'),
+  body('name').optional().trim().isLength({ min: 2 }).withMessage('Hospital name must be at least 2 characters'),
+  body('email').optional().isEmail().withMessage('Please provide a valid email'),
+  body('timezone').optional().custom(isValidTimeZone).withMessage('Please provide a valid IANA timezone'),
+  body('mrn.prefix').optional().isString().isLength({ max: 10 }).withMessage('MRN prefix must be at most 10 characters'),
+  body('mrn.digits').optional().isInt({ min: 4, max: 12 }).withMessage('MRN digits must be between 4 and 12'),
+  body('mrn.checkDigit').optional().isBoolean().withMessage('MRN checkDigit must be true or false'),
+  body('restrictToCareTeam').optional().isBoolean().withMessage('restrictToCareTeam must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const updates = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+    if (req.body.timezone !== undefined) {
+      updates['settings.timezone'] = req.body.timezone;
+    }
+    ['prefix', 'digits', 'checkDigit'].forEach(field => {
+      if (req.body.mrn && req.body.mrn[field] !== undefined) {
+        updates[`settings.mrn.${field}`] = req.body.mrn[field];
+      }
+    });
+    if (req.body.restrictToCareTeam !== undefined) {
+      updates['settings.security.restrictToCareTeam'] = req.body.restrictToCareTeam;
+    }
+
+    const hospital = await Hospital.findByIdAndUpdate(
+      req.hospital._id,
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Hospital updated successfully',
+      data: hospital
+    });
+
+  } catch (error) {
+    console.error('Update hospital error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/hospitals/current/logo
+// @desc    Upload the hospital logo
+// @access  Private (settings:manage)
+router.post('/current/logo', [
+  auth,
+  requirePermission('settings:manage'),
+  logoUpload.single('logo')
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a PNG, JPEG, SVG or WebP image'
+      });
+    }
+
+    const hospital = await Hospital.findByIdAndUpdate(
+      req.hospital._id,
+      { logo: `/uploads/logos/${req.file.filename}` },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Logo uploaded successfully',
+      data: hospital
+    });
+
+  } catch (error) {
+    console.error('Upload logo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/hospitals/current/exports
+// @desc    Start exporting all of the hospital's data to an archive
+// @access  Private (hospitalOwner)
+router.post('/current/exports', ownerOnly, async (req, res) => {
+  try {
+    const running = await TenantExport.findOne({
+      hospitalId: req.hospitalId,
+      status: { $in: ['pending', 'running'] }
+    });
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        message: 'An export is already in progress',
+        data: running
+      });
+    }
+
+    const job = await TenantExport.create({
+      hospitalId: req.hospitalId,
+      requestedBy: req.user._id
+    });
+
+    // Runs after the response; poll the job for its status
+    runExportJob(job._id).catch(error => console.error('Run export job error:', error));
+
+    res.status(202).json({
+      success: true,
+      message: 'Export started',
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Start export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/hospitals/current/exports
+// @desc    List the hospital's export jobs
+// @access  Private (hospitalOwner)
+router.get('/current/exports', ownerOnly, async (req, res) => {
+  try {
+    const jobs = await TenantExport.find({ hospitalId: req.hospitalId })
+      .populate('requestedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+
+  } catch (error) {
+    console.error('Get exports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/hospitals/current/exports/:id
+// @desc    Get an export job
+// @access  Private (hospitalOwner)
+router.get('/current/exports/:id', ownerOnly, async (req, res) => {
+  try {
+    const job = await TenantExport.findOne({ _id: req.params.id, hospitalId: req.hospitalId })
+      .populate('requestedBy', 'name email');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Get export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/hospitals/current/exports/:id/download
+// @desc    Download a completed export archive
+// @access  Private (hospitalOwner)
+router.get('/current/exports/:id/download', ownerOnly, async (req, res) => {
+  try {
+    const job = await TenantExport.findOne({ _id: req.params.id, hospitalId: req.hospitalId });
+
+    if (!job || job.status !== 'completed') {
+      return res.status(404).json({
+        success: false,
+        message: 'Completed export not found'
+      });
+    }
+
+    res.set('X-Archive-SHA256', job.sha256);
+    res.download(getExportPath(job), job.fileName, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Export archive is no longer available'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,208 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Invitation = require('../models/Invitation');
+const Patient = require('../models/Patient');
+const { auth, requirePermission } = require('../middleware/auth');
+const { inviteUser } = require('../utils/invitations');
+const { messagingBlockedReason } = require('../utils/consent');
+const { stringParam } = require('../utils/search');
+const { sendInvitationEmail } = require('../utils/mailer');
+
+const router = express.Router();
+
+// @route   GET /api/invitations
+// @desc    Get invitations of the hospital
+// @access  Private (users:manage)
+router.get('/', [
+  auth,
+  requirePermission('users:manage')
+], async (req, res) => {
+  try {
+    const query = { hospitalId: req.hospitalId };
+
+    // Filter by status
+    const status = stringParam(req.query.status);
+    if (status) {
+      query.status = status;
+    }
+
+    const invitations = await Invitation.find(query)
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: invitations
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/invitations
+// @desc    Invite a user to the hospital with a role
+// @access  Private (users:manage)
+router.post('/', [
+  auth,
+  requirePermission('users:manage'),
+  body('email').isEmail().withMessage('Please provide a valid email'),
+  body('role').isIn(['patient', 'doctor', 'hospitalOwner', 'staff']).withMessage('Invalid role'),
+  body('expiresInDays').optional().isInt({ min: 1, max: 30 }).withMessage('expiresInDays must be between 1 and 30')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Owners hold every permission, so only an owner may invite another
+    if (req.body.role === 'hospitalOwner' && req.user.role !== 'hospitalOwner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the hospital owner can invite hospital owners'
+      });
+    }
+
+    // Staff need a profile, which is created through POST /api/staff
+    if (req.body.role === 'staff') {
+      return res.status(400).json({
+        success: false,
+        message: 'Use POST /api/staff to invite staff members'
+      });
+    }
+
+    const invitation = await inviteUser({
+      hospitalId: req.hospitalId,
+      email: req.body.email,
+      name: req.body.name,
+      role: req.body.role,
+      expiresInDays: req.body.expiresInDays
+    }, req.user);
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: invitation
+    });
+
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/invitations/:id/resend
+// @desc    Resend an invitation with a new link and expiry
+// @access  Private (users:manage)
+router.post('/:id/resend', [
+  auth,
+  requirePermission('users:manage')
+], async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({
+      _id: req.params.id,
+      hospitalId: req.hospitalId,
+      status: 'pending'
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    // Resending a portal invitation needs the patient's consent as much as sending it
+    if (invitation.patientId) {
+      const patient = await Patient.findOne({ _id: invitation.patientId, hospitalId: req.hospitalId });
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found'
+        });
+      }
+
+      const blockedReason = messagingBlockedReason(patient, 'portal-invitation');
+      if (blockedReason) {
+        return res.status(403).json({
+          success: false,
+          message: `${blockedReason}, so no invitation can be sent`
+        });
+      }
+    }
+
+    const token = invitation.createToken();
+    await invitation.save();
+    await sendInvitationEmail(invitation, token, req.user);
+
+    res.json({
+      success: true,
+      message: 'Invitation resent successfully',
+      data: invitation
+    });
+
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private (users:manage)
+router.delete('/:id', [
+  auth,
+  requirePermission('users:manage')
+], async (req, res) => {
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.id, hospitalId: req.hospitalId, status: 'pending' },
+      { status: 'revoked' },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: invitation
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
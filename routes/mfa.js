@@ -0,0 +1,268 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Hospital = require('../models/Hospital');
+const { auth, requirePermission, rejectApiKeys } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Account endpoints are for people; integrations use their API key on the data routes
+router.use(rejectApiKeys);
+
+// @route   POST /api/auth/mfa/setup
+// @desc    Start TOTP enrollment and get the otpauth URI for the QR code
+// @access  Private
+router.post('/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Multi-factor authentication is already enabled'
+      });
+    }
+
+    const enrollment = user.startMfaEnrollment();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: enrollment
+    });
+
+  } catch (error) {
+    console.error('MFA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/mfa/verify
+// @desc    Confirm TOTP enrollment and receive recovery codes
+// @access  Private
+router.post('/verify', [
+  auth,
+  body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Multi-factor authentication is already enabled'
+      });
+    }
+
+    const recoveryCodes = user.confirmMfaEnrollment(req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Multi-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('MFA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/mfa/disable
+// @desc    Disable TOTP for the current user
+// @access  Private
+router.post('/disable', [
+  auth,
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Multi-factor authentication is not enabled'
+      });
+    }
+
+    if (req.hospital.requiresMfa(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your hospital requires multi-factor authentication for your role'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid || !user.verifyMfaCode(req.body.code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    user.disableMfa();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Multi-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/mfa/recovery-codes
+// @desc    Regenerate one-time recovery codes
+// @access  Private
+router.post('/recovery-codes', [
+  auth,
+  body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.mfa.enabled || !user.verifyMfaCode(req.body.code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      data: {
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/mfa/policy
+// @desc    Get the hospital's MFA policy
+// @access  Private (settings:manage)
+router.get('/policy', [
+  auth,
+  requirePermission('settings:manage')
+], async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        mfaRequiredRoles: req.hospital.settings.security.mfaRequiredRoles
+      }
+    });
+
+  } catch (error) {
+    console.error('Get MFA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/auth/mfa/policy
+// @desc    Choose which roles must use MFA in the hospital
+// @access  Private (settings:manage)
+router.put('/policy', [
+  auth,
+  requirePermission('settings:manage'),
+  body('mfaRequiredRoles').isArray().withMessage('mfaRequiredRoles must be an array'),
+  body('mfaRequiredRoles.*').isIn(['patient', 'doctor', 'hospitalOwner', 'staff']).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const hospital = await Hospital.findByIdAndUpdate(
+      req.hospital._id,
+      { 'settings.security.mfaRequiredRoles': req.body.mfaRequiredRoles },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'MFA policy updated successfully',
+      data: {
+        mfaRequiredRoles: hospital.settings.security.mfaRequiredRoles
+      }
+    });
+
+  } catch (error) {
+    console.error('Update MFA policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
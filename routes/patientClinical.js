@@ -0,0 +1,279 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Patient = require('../models/Patient');
+const { auth, requirePermission } = require('../middleware/auth');
+const { attachPatientRecord, ownRecordFilter, seesClinicalFlags, requireCareTeam } = require('../middleware/patientAccess');
+const { FLAG_TYPES, FLAG_SEVERITIES, isFlagActive } = require('../utils/patientFlags');
+
+// Mounted under /api/patients/:id
+const router = express.Router({ mergeParams: true });
+
+// Structured clinical lists on the patient record. Each gets the same routes:
+//   GET  /api/patients/:id/<path>                      list entries (?active=true for open ones)
+//   POST /api/patients/:id/<path>                      add an entry
+//   PUT  /api/patients/:id/<path>/:entryId             update an entry
+//   PUT  /api/patients/:id/<path>/:entryId/resolve     resolve an allergy or condition, stop a medication, end a flag
+const CLINICAL_LISTS = [
+  {
+    path: 'allergies',
+    field: 'allergies',
+    label: 'Allergy',
+    fields: ['allergen', 'severity', 'reaction', 'notes'],
+    validators: (isNew) => [
+      (isNew ? body('allergen') : body('allergen').optional()).trim().notEmpty().withMessage('Allergen is required'),
+      body('severity').optional().isIn(['mild', 'moderate', 'severe', 'life-threatening']).withMessage('Invalid severity')
+    ],
+    isActive: (entry) => entry.status === 'active',
+    resolve: (entry) => {
+      entry.status = 'resolved';
+      entry.resolvedAt = new Date();
+    }
+  },
+  {
+    path: 'medications',
+    field: 'medications',
+    label: 'Medication',
+    fields: ['drug', 'dose', 'frequency', 'route', 'startDate', 'endDate', 'notes'],
+    validators: (isNew) => [
+      (isNew ? body('drug') : body('drug').optional()).trim().notEmpty().withMessage('Drug is required'),
+      body('startDate').optional().isISO8601().withMessage('Please provide a valid start date'),
+      body('endDate').optional().isISO8601().withMessage('Please provide a valid end date')
+    ],
+    isActive: (entry) => entry.active,
+    resolve: (entry) => {
+      entry.active = false;
+      entry.endDate = entry.endDate || new Date();
+    }
+  },
+  {
+    path: 'medical-history',
+    field: 'medicalHistory',
+    label: 'Condition',
+    fields: ['condition', 'status', 'diagnosedAt', 'notes'],
+    validators: (isNew) => [
+      (isNew ? body('condition') : body('condition').optional()).trim().notEmpty().withMessage('Condition is required'),
+      body('status').optional().isIn(['active', 'chronic', 'resolved']).withMessage('Invalid status'),
+      body('diagnosedAt').optional().isISO8601().withMessage('Please provide a valid diagnosis date')
+    ],
+    isActive: (entry) => entry.status !== 'resolved',
+    resolve: (entry) => {
+      entry.status = 'resolved';
+      entry.resolvedAt = new Date();
+    }
+  },
+  {
+    path: 'flags',
+    field: 'flags',
+    label: 'Flag',
+    // Notes for staff that patient users cannot list
+    staffOnly: true,
+    fields: ['type', 'severity', 'startsAt', 'expiresAt', 'notes'],
+    validators: (isNew) => [
+      (isNew ? body('type') : body('type').optional()).isIn(Object.keys(FLAG_TYPES)).withMessage(`Type must be one of: ${Object.keys(FLAG_TYPES).join(', ')}`),
+      body('severity').optional().isIn(FLAG_SEVERITIES).withMessage('Invalid severity'),
+      body('startsAt').optional().isISO8601().withMessage('Please provide a valid start date'),
+      body('expiresAt').optional().isISO8601().withMessage('Please provide a valid expiry date')
+    ],
+    isActive: (entry) => isFlagActive(entry),
+    resolve: (entry) => {
+      entry.endedAt = new Date();
+    }
+  }
+];
+
+const pick = (source, fields) => {
+  return fields.reduce((result, field) => {
+    if (source[field] !== undefined) {
+      result[field] = source[field];
+    }
+    return result;
+  }, {});
+};
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const findPatient = (req) => {
+  return Patient.findOne({
+    _id: req.params.id,
+    hospitalId: req.hospitalId,
+    ...ownRecordFilter(req, '_id')
+  });
+};
+
+const patientNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Patient not found'
+  });
+};
+
+CLINICAL_LISTS.forEach((list) => {
+  const entryNotFound = (res) => {
+    return res.status(404).json({
+      success: false,
+      message: `${list.label} not found`
+    });
+  };
+
+  router.get(`/${list.path}`, [
+    auth,
+    requirePermission('patients:read'),
+    requireCareTeam,
+    attachPatientRecord
+  ], async (req, res) => {
+    try {
+      if (list.staffOnly && !seesClinicalFlags(req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Insufficient permissions.'
+        });
+      }
+
+      const patient = await findPatient(req);
+      if (!patient) {
+        return patientNotFound(res);
+      }
+
+      let entries = patient[list.field];
+      if (req.query.active === 'true') {
+        entries = entries.filter(list.isActive);
+      }
+
+      res.json({
+        success: true,
+        data: entries
+      });
+
+    } catch (error) {
+      console.error(`Get patient ${list.path} error:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  });
+
+  router.post(`/${list.path}`, [
+    auth,
+    requirePermission('patients:write'),
+    requireCareTeam,
+    ...list.validators(true)
+  ], async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const patient = await findPatient(req);
+      if (!patient) {
+        return patientNotFound(res);
+      }
+
+      patient[list.field].push({
+        ...pick(req.body, list.fields),
+        recordedBy: req.user._id
+      });
+      await patient.save();
+
+      res.status(201).json({
+        success: true,
+        message: `${list.label} added successfully`,
+        data: patient[list.field][patient[list.field].length - 1]
+      });
+
+    } catch (error) {
+      console.error(`Add patient ${list.path} error:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  });
+
+  router.put(`/${list.path}/:entryId`, [
+    auth,
+    requirePermission('patients:write'),
+    requireCareTeam,
+    ...list.validators(false)
+  ], async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const patient = await findPatient(req);
+      if (!patient) {
+        return patientNotFound(res);
+      }
+
+      const entry = patient[list.field].id(req.params.entryId);
+      if (!entry) {
+        return entryNotFound(res);
+      }
+
+      entry.set({
+        ...pick(req.body, list.fields),
+        updatedBy: req.user._id
+      });
+      await patient.save();
+
+      res.json({
+        success: true,
+        message: `${list.label} updated successfully`,
+        data: entry
+      });
+
+    } catch (error) {
+      console.error(`Update patient ${list.path} error:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  });
+
+  router.put(`/${list.path}/:entryId/resolve`, [
+    auth,
+    requirePermission('patients:write'),
+    requireCareTeam
+  ], async (req, res) => {
+    try {
+      const patient = await findPatient(req);
+      if (!patient) {
+        return patientNotFound(res);
+      }
+
+      const entry = patient[list.field].id(req.params.entryId);
+      if (!entry) {
+        return entryNotFound(res);
+      }
+
+      list.resolve(entry);
+      entry.updatedBy = req.user._id;
+      await patient.save();
+
+      res.json({
+        success: true,
+        message: `${list.label} resolved successfully`,
+        data: entry
+      });
+
+    } catch (error) {
+      console.error(`Resolve patient ${list.path} error:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  });
+});
+
+module.exports = router;
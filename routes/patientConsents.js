@@ -0,0 +1,329 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const Patient = require('../models/Patient');
+const { auth, requirePermission } = require('../middleware/auth');
+const { attachPatientRecord, ownRecordFilter, requireCareTeam } = require('../middleware/patientAccess');
+const { CONSENT_TYPES, latestConsent, consentStatus, currentConsentState } = require('../utils/consent');
+
+// Mounted under /api/patients/:id/consents
+const router = express.Router({ mergeParams: true });
+
+// Not served by the public /uploads route; see server.js
+const CONSENT_DIR = path.join('uploads', 'consents');
+
+const documentUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(CONSENT_DIR, { recursive: true }, (error) => cb(error, CONSENT_DIR));
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${req.hospitalId}-${req.params.id}-${Date.now()}${path.extname(file.originalname).toLowerCase()}`);
+    }
+  }),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    cb(null, ['application/pdf', 'image/png', 'image/jpeg'].includes(file.mimetype));
+  }
+});
+
+const documentFromUpload = (file) => ({
+  path: file.path.split(path.sep).join('/'),
+  originalName: file.originalname,
+  mimeType: file.mimetype,
+  size: file.size
+});
+
+// Remove an uploaded file when the request it came with is rejected
+const discardUpload = (req) => {
+  if (req.file) {
+    fs.unlink(req.file.path, (error) => {
+      if (error) console.error('Discard consent upload error:', error);
+    });
+  }
+};
+
+const findPatient = (req) => {
+  return Patient.findOne({
+    _id: req.params.id,
+    hospitalId: req.hospitalId,
+    ...ownRecordFilter(req, '_id')
+  });
+};
+
+const patientNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Patient not found'
+  });
+};
+
+const consentNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Consent not found'
+  });
+};
+
+// @route   GET /api/patients/:id/consents
+// @desc    Consent history, newest first (?type=telehealth)
+// @access  Private (patients:read)
+router.get('/', [
+  auth,
+  requirePermission('patients:read'),
+  requireCareTeam,
+  attachPatientRecord
+], async (req, res) => {
+  try {
+    const patient = await findPatient(req);
+    if (!patient) {
+      return patientNotFound(res);
+    }
+
+    const consents = patient.consents
+      .filter(consent => !req.query.type || consent.type === req.query.type)
+      .sort((a, b) => b.grantedAt - a.grantedAt)
+      .map(consent => ({ ...consent.toJSON(), status: consentStatus(consent) }));
+
+    res.json({
+      success: true,
+      data: consents
+    });
+
+  } catch (error) {
+    console.error('Get patient consents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/patients/:id/consents/current
+// @desc    Current consent state for every consent type
+// @access  Private (patients:read)
+router.get('/current', [
+  auth,
+  requirePermission('patients:read'),
+  requireCareTeam,
+  attachPatientRecord
+], async (req, res) => {
+  try {
+    const patient = await findPatient(req);
+    if (!patient) {
+      return patientNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: currentConsentState(patient)
+    });
+
+  } catch (error) {
+    console.error('Get current patient consents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/patients/:id/consents
+// @desc    Record a consent decision as the next version of its type,
+//          optionally with the signed form (multipart field `document`, PDF, PNG or JPEG)
+// @access  Private (patients:write)
+router.post('/', [
+  auth,
+  requirePermission('patients:write'),
+  requireCareTeam,
+  documentUpload.single('document'),
+  body('type').isIn(Object.keys(CONSENT_TYPES)).withMessage(`Type must be one of: ${Object.keys(CONSENT_TYPES).join(', ')}`),
+  body('method').optional().isIn(['written', 'verbal', 'electronic']).withMessage('Invalid method'),
+  body('grantedAt').optional().isISO8601().withMessage('Please provide a valid grantedAt'),
+  body('expiresAt').optional().isISO8601().withMessage('Please provide a valid expiresAt')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      discardUpload(req);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const patient = await findPatient(req);
+    if (!patient) {
+      discardUpload(req);
+      return patientNotFound(res);
+    }
+
+    const previous = latestConsent(patient, req.body.type);
+    patient.consents.push({
+      type: req.body.type,
+      version: previous ? previous.version + 1 : 1,
+      method: req.body.method,
+      grantedAt: req.body.grantedAt,
+      grantedBy: req.user._id,
+      expiresAt: req.body.expiresAt,
+      document: req.file ? documentFromUpload(req.file) : undefined,
+      notes: req.body.notes
+    });
+    await patient.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Consent recorded successfully',
+      data: patient.consents[patient.consents.length - 1]
+    });
+
+  } catch (error) {
+    discardUpload(req);
+    console.error('Record patient consent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/patients/:id/consents/:consentId/revoke
+// @desc    Revoke a consent
+// @access  Private (patients:write)
+router.put('/:consentId/revoke', [
+  auth,
+  requirePermission('patients:write'),
+  requireCareTeam
+], async (req, res) => {
+  try {
+    const patient = await findPatient(req);
+    if (!patient) {
+      return patientNotFound(res);
+    }
+
+    const consent = patient.consents.id(req.params.consentId);
+    if (!consent) {
+      return consentNotFound(res);
+    }
+
+    if (consent.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Consent has already been revoked'
+      });
+    }
+
+    consent.revokedAt = new Date();
+    consent.revokedBy = req.user._id;
+    consent.revocationReason = req.body.reason;
+    await patient.save();
+
+    res.json({
+      success: true,
+      message: 'Consent revoked successfully',
+      data: consent
+    });
+
+  } catch (error) {
+    console.error('Revoke patient consent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/patients/:id/consents/:consentId/document
+// @desc    Attach the signed form to a consent recorded without one
+// @access  Private (patients:write)
+router.post('/:consentId/document', [
+  auth,
+  requirePermission('patients:write'),
+  requireCareTeam,
+  documentUpload.single('document')
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a PDF, PNG or JPEG document'
+      });
+    }
+
+    const patient = await findPatient(req);
+    if (!patient) {
+      discardUpload(req);
+      return patientNotFound(res);
+    }
+
+    const consent = patient.consents.id(req.params.consentId);
+    if (!consent) {
+      discardUpload(req);
+      return consentNotFound(res);
+    }
+
+    if (consent.document && consent.document.path) {
+      discardUpload(req);
+      return res.status(400).json({
+        success: false,
+        message: 'A signed document is already attached; record a new consent version instead'
+      });
+    }
+
+    consent.document = documentFromUpload(req.file);
+    await patient.save();
+
+    res.json({
+      success: true,
+      message: 'Consent document uploaded successfully',
+      data: consent
+    });
+
+  } catch (error) {
+    discardUpload(req);
+    console.error('Upload consent document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/patients/:id/consents/:consentId/document
+// @desc    Download the signed consent form
+// @access  Private (patients:read)
+router.get('/:consentId/document', [
+  auth,
+  requirePermission('patients:read'),
+  requireCareTeam,
+  attachPatientRecord
+], async (req, res) => {
+  try {
+    const patient = await findPatient(req);
+    if (!patient) {
+      return patientNotFound(res);
+    }
+
+    const consent = patient.consents.id(req.params.consentId);
+    if (!consent || !consent.document || !consent.document.path) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consent document not found'
+      });
+    }
+
+    res.download(path.resolve(consent.document.path), consent.document.originalName);
+
+  } catch (error) {
+    console.error('Download consent document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,302 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Patient = require('../models/Patient');
+const { auth, requirePermission } = require('../middleware/auth');
+const { attachPatientRecord, ownRecordFilter, requireCareTeam } = require('../middleware/patientAccess');
+const { isInForce, checkEligibility } = require('../utils/insurance');
+
+// Mounted under /api/patients/:id/insurance
+const router = express.Router({ mergeParams: true });
+
+const COVERAGE_FIELDS = [
+  'provider',
+  'planName',
+  'policyNumber',
+  'groupNumber',
+  'subscriber',
+  'relationship',
+  'effectiveDate',
+  'expiryDate',
+  'isPrimary',
+  'notes'
+];
+
+// Changing any of these makes the last eligibility answer meaningless
+const POLICY_FIELDS = ['provider', 'policyNumber', 'groupNumber', 'subscriber', 'relationship', 'effectiveDate', 'expiryDate'];
+
+const coverageValidators = (isNew) => [
+  (isNew ? body('provider') : body('provider').optional()).trim().notEmpty().withMessage('Provider is required'),
+  (isNew ? body('policyNumber') : body('policyNumber').optional()).trim().notEmpty().withMessage('Policy number is required'),
+  body('relationship').optional().isIn(['self', 'spouse', 'child', 'other']).withMessage('Invalid relationship'),
+  body('effectiveDate').optional().isISO8601().withMessage('Please provide a valid effective date'),
+  body('expiryDate').optional().isISO8601().withMessage('Please provide a valid expiry date'),
+  body('subscriber.dateOfBirth').optional().isISO8601().withMessage('Please provide a valid subscriber date of birth'),
+  body('isPrimary').optional().isBoolean().withMessage('isPrimary must be true or false').toBoolean()
+];
+
+const pick = (source, fields) => {
+  return fields.reduce((result, field) => {
+    if (source[field] !== undefined) {
+      result[field] = source[field];
+    }
+    return result;
+  }, {});
+};
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation errors',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const findPatient = (req) => {
+  return Patient.findOne({
+    _id: req.params.id,
+    hospitalId: req.hospitalId,
+    ...ownRecordFilter(req, '_id')
+  });
+};
+
+const patientNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Patient not found'
+  });
+};
+
+const coverageNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Insurance coverage not found'
+  });
+};
+
+const rejectDateOrder = (coverage, res) => {
+  if (coverage.effectiveDate && coverage.expiryDate && coverage.expiryDate < coverage.effectiveDate) {
+    res.status(400).json({
+      success: false,
+      message: 'Expiry date must not be before the effective date'
+    });
+    return true;
+  }
+  return false;
+};
+
+// A patient has at most one primary coverage
+const makePrimary = (patient, coverage) => {
+  patient.insurance.forEach(other => {
+    other.isPrimary = other._id.equals(coverage._id);
+  });
+};
+
+// @route   GET /api/patients/:id/insurance
+// @desc    List insurance coverage, primary first (?active=true for coverage in force today)
+// @access  Private (insurance:read)
+router.get('/', [
+  auth,
+  requirePermission('insurance:read'),
+  requireCareTeam,
+  attachPatientRecord
+], async (req, res) => {
+  try {
+    const patient = await findPatient(req);
+    if (!patient) {
+      return patientNotFound(res);
+    }
+
+    let coverages = [...patient.insurance].sort((a, b) => Number(b.isPrimary) - Number(a.isPrimary));
+    if (req.query.active === 'true') {
+      coverages = coverages.filter(coverage => isInForce(coverage));
+    }
+
+    res.json({
+      success: true,
+      data: coverages
+    });
+
+  } catch (error) {
+    console.error('Get patient insurance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/patients/:id/insurance
+// @desc    Add insurance coverage; the first coverage becomes primary
+// @access  Private (insurance:write)
+router.post('/', [
+  auth,
+  requirePermission('insurance:write'),
+  requireCareTeam,
+  ...coverageValidators(true)
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const patient = await findPatient(req);
+    if (!patient) {
+      return patientNotFound(res);
+    }
+
+    patient.insurance.push({
+      ...pick(req.body, COVERAGE_FIELDS),
+      recordedBy: req.user._id
+    });
+    const coverage = patient.insurance[patient.insurance.length - 1];
+    if (rejectDateOrder(coverage, res)) return;
+
+    if (coverage.isPrimary || patient.insurance.length === 1) {
+      makePrimary(patient, coverage);
+    }
+    await patient.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Insurance coverage added successfully',
+      data: coverage
+    });
+
+  } catch (error) {
+    console.error('Add patient insurance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/patients/:id/insurance/:coverageId
+// @desc    Update insurance coverage; policy changes reset its eligibility to unknown
+// @access  Private (insurance:write)
+router.put('/:coverageId', [
+  auth,
+  requirePermission('insurance:write'),
+  requireCareTeam,
+  ...coverageValidators(false)
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const patient = await findPatient(req);
+    if (!patient) {
+      return patientNotFound(res);
+    }
+
+    const coverage = patient.insurance.id(req.params.coverageId);
+    if (!coverage) {
+      return coverageNotFound(res);
+    }
+
+    coverage.set({
+      ...pick(req.body, COVERAGE_FIELDS),
+      updatedBy: req.user._id
+    });
+    if (rejectDateOrder(coverage, res)) return;
+
+    if (POLICY_FIELDS.some(field => coverage.isModified(field))) {
+      coverage.eligibility = { status: 'unknown' };
+    }
+    if (req.body.isPrimary === true) {
+      makePrimary(patient, coverage);
+    }
+    await patient.save();
+
+    res.json({
+      success: true,
+      message: 'Insurance coverage updated successfully',
+      data: coverage
+    });
+
+  } catch (error) {
+    console.error('Update patient insurance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/patients/:id/insurance/:coverageId
+// @desc    Remove insurance coverage entered by mistake
+// @access  Private (insurance:write)
+router.delete('/:coverageId', [
+  auth,
+  requirePermission('insurance:write'),
+  requireCareTeam
+], async (req, res) => {
+  try {
+    const patient = await findPatient(req);
+    if (!patient) {
+      return patientNotFound(res);
+    }
+
+    const coverage = patient.insurance.id(req.params.coverageId);
+    if (!coverage) {
+      return coverageNotFound(res);
+    }
+
+    coverage.deleteOne();
+    await patient.save();
+
+    res.json({
+      success: true,
+      message: 'Insurance coverage removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove patient insurance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/patients/:id/insurance/:coverageId/eligibility
+// @desc    Check eligibility with the configured checker and record the result
+// @access  Private (insurance:write)
+router.post('/:coverageId/eligibility', [
+  auth,
+  requirePermission('insurance:write'),
+  requireCareTeam
+], async (req, res) => {
+  try {
+    const patient = await findPatient(req);
+    if (!patient) {
+      return patientNotFound(res);
+    }
+
+    const coverage = patient.insurance.id(req.params.coverageId);
+    if (!coverage) {
+      return coverageNotFound(res);
+    }
+
+    const eligibility = await checkEligibility(patient, coverage);
+    await patient.save();
+
+    res.json({
+      success: true,
+      message: `Eligibility: ${eligibility.status}`,
+      data: coverage
+    });
+
+  } catch (error) {
+    console.error('Check insurance eligibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,316 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Patient = require('../models/Patient');
+const PatientMerge = require('../models/PatientMerge');
+const { auth, requirePermission, rejectApiKeys, requireHospitalOwner } = require('../middleware/auth');
+const { executeMerge, revertMerge } = require('../utils/patientMerge');
+
+const router = express.Router();
+
+const ownerOnly = [auth, rejectApiKeys, requireHospitalOwner];
+
+const MERGE_STATUSES = PatientMerge.schema.path('status').enumValues;
+
+const populatePatients = [
+  { path: 'survivorId', select: 'firstName lastName mrn dateOfBirth status' },
+  { path: 'mergedId', select: 'firstName lastName mrn dateOfBirth status' },
+  { path: 'requestedBy', select: 'name email' },
+  { path: 'reviewedBy', select: 'name email' }
+];
+
+// Both records must still exist and be unmerged
+const findMergeablePair = async (hospitalId, survivorId, mergedId) => {
+  const patients = await Patient.find({
+    _id: { $in: [survivorId, mergedId] },
+    hospitalId,
+    status: { $ne: 'Merged' }
+  });
+  return patients.length === 2;
+};
+
+// @route   POST /api/patient-merges
+// @desc    Request merging a duplicate patient into a surviving record
+// @access  Private (patients:write)
+router.post('/', [
+  auth,
+  requirePermission('patients:write'),
+  body('survivorId').isMongoId().withMessage('Please provide a valid survivorId'),
+  body('mergedId').isMongoId().withMessage('Please provide a valid mergedId'),
+  body('reason').trim().notEmpty().withMessage('A reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { survivorId, mergedId, reason } = req.body;
+
+    if (survivorId === mergedId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A patient cannot be merged into itself'
+      });
+    }
+
+    if (!await findMergeablePair(req.hospitalId, survivorId, mergedId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Both patients must exist and not already be merged'
+      });
+    }
+
+    const pending = await PatientMerge.findOne({
+      hospitalId: req.hospitalId,
+      status: 'pending',
+      $or: [
+        { survivorId: { $in: [survivorId, mergedId] } },
+        { mergedId: { $in: [survivorId, mergedId] } }
+      ]
+    });
+    if (pending) {
+      return res.status(409).json({
+        success: false,
+        message: 'A merge involving one of these patients is already awaiting approval',
+        data: pending
+      });
+    }
+
+    const merge = await PatientMerge.create({
+      hospitalId: req.hospitalId,
+      survivorId,
+      mergedId,
+      reason,
+      requestedBy: req.user._id
+    });
+    await merge.populate(populatePatients);
+
+    res.status(201).json({
+      success: true,
+      message: 'Merge requested. It will be carried out once the hospital owner approves it.',
+      data: merge
+    });
+
+  } catch (error) {
+    console.error('Request patient merge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/patient-merges
+// @desc    List merge requests (?status=pending)
+// @access  Private (patients:write)
+router.get('/', [
+  auth,
+  requirePermission('patients:write'),
+  query('status').optional().isIn(MERGE_STATUSES).withMessage(`status must be one of: ${MERGE_STATUSES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { hospitalId: req.hospitalId };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const merges = await PatientMerge.find(filter)
+      .populate(populatePatients)
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      data: merges
+    });
+
+  } catch (error) {
+    console.error('Get patient merges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/patient-merges/:id
+// @desc    Get a merge request with what it changed
+// @access  Private (patients:write)
+router.get('/:id', [
+  auth,
+  requirePermission('patients:write')
+], async (req, res) => {
+  try {
+    const merge = await PatientMerge.findOne({ _id: req.params.id, hospitalId: req.hospitalId })
+      .populate(populatePatients);
+
+    if (!merge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Merge not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: merge
+    });
+
+  } catch (error) {
+    console.error('Get patient merge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/patient-merges/:id/approve
+// @desc    Approve and carry out a merge
+// @access  Private (hospitalOwner)
+router.put('/:id/approve', ownerOnly, async (req, res) => {
+  try {
+    const merge = await PatientMerge.findOne({ _id: req.params.id, hospitalId: req.hospitalId, status: 'pending' });
+
+    if (!merge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending merge not found'
+      });
+    }
+
+    if (!await findMergeablePair(req.hospitalId, merge.survivorId, merge.mergedId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'One of the patients no longer exists or has been merged since the request'
+      });
+    }
+
+    merge.reviewedBy = req.user._id;
+    merge.reviewedAt = new Date();
+    merge.reviewNotes = req.body.notes;
+
+    if (!await executeMerge(merge)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This merge has already been reviewed'
+      });
+    }
+    await merge.populate(populatePatients);
+
+    res.json({
+      success: true,
+      message: 'Patients merged successfully',
+      data: merge
+    });
+
+  } catch (error) {
+    console.error('Approve patient merge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/patient-merges/:id/reject
+// @desc    Reject a merge request
+// @access  Private (hospitalOwner)
+router.put('/:id/reject', ownerOnly, async (req, res) => {
+  try {
+    const merge = await PatientMerge.findOneAndUpdate(
+      { _id: req.params.id, hospitalId: req.hospitalId, status: 'pending' },
+      {
+        status: 'rejected',
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        reviewNotes: req.body.notes
+      },
+      { new: true }
+    ).populate(populatePatients);
+
+    if (!merge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending merge not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Merge rejected',
+      data: merge
+    });
+
+  } catch (error) {
+    console.error('Reject patient merge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/patient-merges/:id/revert
+// @desc    Revert a completed merge
+// @access  Private (hospitalOwner)
+router.put('/:id/revert', ownerOnly, async (req, res) => {
+  try {
+    const merge = await PatientMerge.findOne({ _id: req.params.id, hospitalId: req.hospitalId, status: 'completed' });
+
+    if (!merge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Completed merge not found'
+      });
+    }
+
+    // A survivor merged again afterwards has to be reverted first
+    const survivor = await Patient.findOne({ _id: merge.survivorId, hospitalId: req.hospitalId });
+    if (!survivor || survivor.status === 'Merged') {
+      return res.status(409).json({
+        success: false,
+        message: 'The surviving patient has since been merged; revert that merge first'
+      });
+    }
+
+    merge.revertedBy = req.user._id;
+    merge.revertedAt = new Date();
+
+    if (!await revertMerge(merge)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This merge has already been reverted'
+      });
+    }
+    await merge.populate(populatePatients);
+
+    res.json({
+      success: true,
+      message: 'Merge reverted successfully',
+      data: merge
+    });
+
+  } catch (error) {
+    console.error('Revert patient merge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
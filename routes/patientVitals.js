@@ -0,0 +1,366 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Patient = require('../models/Patient');
+const Appointment = require('../models/Appointment');
+const Vitals = require('../models/Vitals');
+const { auth, requirePermission } = require('../middleware/auth');
+const { attachPatientRecord, ownRecordFilter, requireCareTeam } = require('../middleware/patientAccess');
+const { stringParam } = require('../utils/search');
+const { parseInstant, startOfDaysAgo } = require('../utils/timezone');
+const { MEASUREMENTS, RECORDED_MEASUREMENTS, TREND_INTERVALS, computeBmi } = require('../utils/vitals');
+
+// Mounted under /api/patients/:id/vitals
+const router = express.Router({ mergeParams: true });
+
+const DEFAULT_TREND_DAYS = 90;
+
+const findPatient = (req) => {
+  return Patient.findOne({
+    _id: req.params.id,
+    hospitalId: req.hospitalId,
+    ...ownRecordFilter(req, '_id')
+  });
+};
+
+const patientNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Patient not found'
+  });
+};
+
+// recordedAt range from ?from= and ?to=, read in the hospital's timezone
+const dateRange = (req, defaultFrom) => {
+  const timeZone = req.hospital.getTimeZone();
+  const from = stringParam(req.query.from) ? parseInstant(req.query.from, timeZone) : defaultFrom;
+  const to = stringParam(req.query.to) ? parseInstant(req.query.to, timeZone) : undefined;
+  if (from === null || to === null) {
+    return null;
+  }
+
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return range;
+};
+
+const invalidRange = (res) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Please provide valid from and to dates'
+  });
+};
+
+// @route   GET /api/patients/:id/vitals
+// @desc    List vital sign readings, newest first (?from=&to=&appointmentId=)
+// @access  Private (patients:read)
+router.get('/', [
+  auth,
+  requirePermission('patients:read'),
+  requireCareTeam,
+  attachPatientRecord
+], async (req, res) => {
+  try {
+    const patient = await findPatient(req);
+    if (!patient) {
+      return patientNotFound(res);
+    }
+
+    const range = dateRange(req);
+    if (!range) {
+      return invalidRange(res);
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const query = { hospitalId: req.hospitalId, patientId: patient._id };
+    if (Object.keys(range).length) {
+      query.recordedAt = range;
+    }
+    if (stringParam(req.query.appointmentId)) {
+      query.appointmentId = req.query.appointmentId;
+    }
+
+    const [readings, total] = await Promise.all([
+      Vitals.find(query)
+        .populate('recordedBy', 'name')
+        .sort({ recordedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Vitals.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: readings,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get patient vitals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/patients/:id/vitals
+// @desc    Record vital signs, optionally for one of the patient's appointments
+// @access  Private (patients:write)
+router.post('/', [
+  auth,
+  requirePermission('patients:write'),
+  requireCareTeam,
+  body('appointmentId').optional().isMongoId().withMessage('Please provide a valid appointmentId'),
+  body('recordedAt').optional().isISO8601().withMessage('Please provide a valid recordedAt'),
+  ...RECORDED_MEASUREMENTS.map(name => {
+    const { label, unit, valid } = MEASUREMENTS[name];
+    return body(name)
+      .optional()
+      .isFloat({ min: valid[0], max: valid[1] })
+      .withMessage(`${label} must be between ${valid[0]} and ${valid[1]} ${unit}`)
+      .toFloat();
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const measurements = RECORDED_MEASUREMENTS.filter(name => req.body[name] !== undefined);
+    if (!measurements.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide at least one of: ${RECORDED_MEASUREMENTS.join(', ')}`
+      });
+    }
+
+    const patient = await findPatient(req);
+    if (!patient) {
+      return patientNotFound(res);
+    }
+
+    if (req.body.appointmentId) {
+      const appointment = await Appointment.findOne({
+        _id: req.body.appointmentId,
+        hospitalId: req.hospitalId,
+        patientId: patient._id
+      });
+      if (!appointment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Appointment not found for this patient'
+        });
+      }
+    }
+
+    const vitals = new Vitals({
+      hospitalId: req.hospitalId,
+      patientId: patient._id,
+      appointmentId: req.body.appointmentId,
+      recordedAt: req.body.recordedAt ? parseInstant(req.body.recordedAt, req.hospital.getTimeZone()) : undefined,
+      notes: req.body.notes,
+      recordedBy: req.user._id
+    });
+    measurements.forEach(name => {
+      vitals[name] = req.body[name];
+    });
+
+    // Height is rarely measured at every visit, so a weight alone is
+    // combined with the most recent height for the BMI
+    if (vitals.weight && !vitals.height) {
+      const lastHeight = await Vitals.findOne({
+        hospitalId: req.hospitalId,
+        patientId: patient._id,
+        height: { $ne: null }
+      }).sort({ recordedAt: -1 }).select('height');
+      if (lastHeight) {
+        vitals.bmi = computeBmi(lastHeight.height, vitals.weight);
+      }
+    }
+
+    await vitals.save();
+
+    res.status(201).json({
+      success: true,
+      message: vitals.flags.length
+        ? 'Vitals recorded; some readings are outside the normal range'
+        : 'Vitals recorded successfully',
+      data: vitals
+    });
+
+  } catch (error) {
+    console.error('Record patient vitals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/patients/:id/vitals/latest
+// @desc    Most recent value of each measurement, which may come from different readings
+// @access  Private (patients:read)
+router.get('/latest', [
+  auth,
+  requirePermission('patients:read'),
+  requireCareTeam,
+  attachPatientRecord
+], async (req, res) => {
+  try {
+    const patient = await findPatient(req);
+    if (!patient) {
+      return patientNotFound(res);
+    }
+
+    const names = Object.keys(MEASUREMENTS);
+    const readings = await Promise.all(names.map(name => {
+      return Vitals.findOne({
+        hospitalId: req.hospitalId,
+        patientId: patient._id,
+        [name]: { $ne: null }
+      }).sort({ recordedAt: -1 }).select(`${name} recordedAt flags`);
+    }));
+
+    const latest = {};
+    names.forEach((name, index) => {
+      const reading = readings[index];
+      if (!reading) return;
+
+      const flag = reading.flags.find(entry => entry.measurement === name);
+      latest[name] = {
+        value: reading[name],
+        unit: MEASUREMENTS[name].unit,
+        flag: flag ? flag.flag : null,
+        recordedAt: reading.recordedAt,
+        vitalsId: reading._id
+      };
+    });
+
+    res.json({
+      success: true,
+      data: latest
+    });
+
+  } catch (error) {
+    console.error('Get latest patient vitals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/patients/:id/vitals/trends
+// @desc    Average, minimum and maximum of each measurement per time bucket, for charts
+//          (?interval=hour|day|week|month&measurements=heartRate,weight&from=&to=,
+//          last 90 days by default; buckets follow the hospital's timezone)
+// @access  Private (patients:read)
+router.get('/trends', [
+  auth,
+  requirePermission('patients:read'),
+  requireCareTeam,
+  attachPatientRecord
+], async (req, res) => {
+  try {
+    const interval = stringParam(req.query.interval) || 'day';
+    if (!TREND_INTERVALS[interval]) {
+      return res.status(400).json({
+        success: false,
+        message: `Interval must be one of: ${Object.keys(TREND_INTERVALS).join(', ')}`
+      });
+    }
+
+    const requested = stringParam(req.query.measurements);
+    const names = requested ? requested.split(',').map(name => name.trim()) : Object.keys(MEASUREMENTS);
+    const unknown = names.filter(name => !MEASUREMENTS[name]);
+    if (unknown.length) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown measurements: ${unknown.join(', ')}`
+      });
+    }
+
+    const timeZone = req.hospital.getTimeZone();
+    const range = dateRange(req, startOfDaysAgo(DEFAULT_TREND_DAYS, timeZone));
+    if (!range) {
+      return invalidRange(res);
+    }
+
+    const patient = await findPatient(req);
+    if (!patient) {
+      return patientNotFound(res);
+    }
+
+    const group = {
+      _id: { $dateToString: { format: TREND_INTERVALS[interval], date: '$recordedAt', timezone: timeZone } }
+    };
+    names.forEach(name => {
+      group[`${name}Count`] = { $sum: { $cond: [{ $isNumber: `$${name}` }, 1, 0] } };
+      group[`${name}Avg`] = { $avg: `$${name}` };
+      group[`${name}Min`] = { $min: `$${name}` };
+      group[`${name}Max`] = { $max: `$${name}` };
+    });
+
+    const buckets = await Vitals.aggregate([
+      {
+        $match: {
+          hospitalId: req.hospitalId,
+          patientId: patient._id,
+          recordedAt: range
+        }
+      },
+      { $group: group },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const series = names.reduce((result, name) => {
+      result[name] = {
+        label: MEASUREMENTS[name].label,
+        unit: MEASUREMENTS[name].unit,
+        normalRange: MEASUREMENTS[name].normal || null,
+        points: buckets
+          .filter(bucket => bucket[`${name}Count`] > 0)
+          .map(bucket => ({
+            bucket: bucket._id,
+            count: bucket[`${name}Count`],
+            avg: Math.round(bucket[`${name}Avg`] * 10) / 10,
+            min: bucket[`${name}Min`],
+            max: bucket[`${name}Max`]
+          }))
+      };
+      return result;
+    }, {});
+
+    res.json({
+      success: true,
+      data: {
+        interval,
+        timezone: timeZone,
+        from: range.$gte,
+        to: range.$lte || new Date(),
+        series
+      }
+    });
+
+  } catch (error) {
+    console.error('Get patient vitals trends error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
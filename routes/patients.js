@@ -1,43 +1,147 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Patient = require('../models/Patient');
-const { auth, authorize } = require('../middleware/auth');
+const User = require('../models/User');
+const { auth, requirePermission, hasPermission } = require('../middleware/auth');
+const { enforceQuota } = require('../middleware/subscription');
+const {
+  attachPatientRecord,
+  ownRecordFilter,
+  seesClinicalFlags,
+  limitedToCareTeam,
+  canOpenChart,
+  rejectOutsideCareTeam,
+  requireCareTeam
+} = require('../middleware/patientAccess');
+const { inviteUser } = require('../utils/invitations');
+const { saveWithMrn } = require('../utils/mrn');
+const { findDuplicateCandidates, findDuplicatePairs } = require('../utils/patientMatching');
+const { stringParam, searchRecords } = require('../utils/search');
+const { normalizePhone } = require('../utils/textMatching');
+const { messagingBlockedReason } = require('../utils/consent');
+const { activeFlags, alertIndicator } = require('../utils/patientFlags');
+const { CARE_TEAM_ROLES, findClinician, careTeamFilter, careTeamRoles } = require('../utils/careTeam');
+const Doctor = require('../models/Doctor');
+const Staff = require('../models/Staff');
+const patientClinicalRoutes = require('./patientClinical');
+const patientVitalsRoutes = require('./patientVitals');
+const patientInsuranceRoutes = require('./patientInsurance');
+const patientConsentsRoutes = require('./patientConsents');
+const createArchiveRouter = require('./archive');
+const createHistoryRouter = require('./history');
 
 const router = express.Router();
 
+// Fields set directly on a patient. Everything else changes through its own
+// route: clinical lists, flags, insurance, consents and the care team through
+// sub-routes, the portal account through /portal-user, archiving through
+// DELETE, merges through /api/patient-merges; the MRN never changes.
+const DEMOGRAPHIC_FIELDS = [
+  'firstName',
+  'lastName',
+  'email',
+  'phone',
+  'dateOfBirth',
+  'gender',
+  'address',
+  'emergencyContact',
+  'bloodType',
+  'externalIds',
+  'avatar',
+  'status'
+];
+
+const pick = (source, fields) => {
+  return fields.reduce((result, field) => {
+    if (source[field] !== undefined) {
+      result[field] = source[field];
+    }
+    return result;
+  }, {});
+};
+
+// Insurance coverage is only returned to users allowed to see it, and
+// clinical flags never to patient users
+const patientProjection = (req) => {
+  return [
+    hasPermission(req, 'insurance:read') ? '' : '-insurance',
+    seesClinicalFlags(req) ? '' : '-flags'
+  ].filter(Boolean).join(' ');
+};
+
+// GET /archived, PUT /:id/archive, PUT /:id/restore and DELETE /:id/purge
+router.use(createArchiveRouter({ Model: Patient, label: 'Patient', permission: 'patients:delete' }));
+
+// GET /:id/history and GET /:id/as-of
+router.use(createHistoryRouter({
+  Model: Patient,
+  label: 'Patient',
+  permission: 'patients:read',
+  guards: [requireCareTeam],
+  hidden: (req) => (hasPermission(req, 'insurance:read') ? [] : ['insurance'])
+}));
+
 // @route   GET /api/patients
 // @desc    Get all patients
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', [
+  auth,
+  requirePermission('patients:read'),
+  attachPatientRecord
+], async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    
-    const query = { hospitalId: req.hospitalId };
-    
-    // Add search functionality
-    if (req.query.search) {
-      const searchRegex = new RegExp(req.query.search, 'i');
-      query.$or = [
-        { firstName: searchRegex },
-        { lastName: searchRegex },
-        { email: searchRegex },
-        { phone: searchRegex }
-      ];
-    }
-
-    // Add status filter
-    if (req.query.status) {
-      query.status = req.query.status;
-    }
-
-    const patients = await Patient.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    const total = await Patient.countDocuments(query);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+
+    const filters = ownRecordFilter(req, '_id');
+
+    // Status filter; merged duplicates are hidden unless asked for
+    filters.status = stringParam(req.query.status) || { $ne: 'Merged' };
+
+    const gender = stringParam(req.query.gender);
+    if (gender) {
+      filters.gender = gender;
+    }
+
+    const mrn = stringParam(req.query.mrn);
+    if (mrn) {
+      filters.mrn = mrn.toUpperCase();
+    }
+
+    // Date of birth as YYYY-MM-DD
+    const dateOfBirth = stringParam(req.query.dateOfBirth);
+    if (dateOfBirth) {
+      const day = new Date(dateOfBirth);
+      if (isNaN(day)) {
+        return res.status(400).json({
+          success: false,
+          message: 'dateOfBirth must be a date (YYYY-MM-DD)'
+        });
+      }
+      filters.dateOfBirth = { $gte: day, $lt: new Date(day.getTime() + 24 * 60 * 60 * 1000) };
+    }
+
+    // Where charts are limited to care teams, so is the list
+    if (limitedToCareTeam(req)) {
+      filters.$and = [careTeamFilter(await findClinician(req)) || { _id: null }];
+    }
+
+    // Free text matches names (typo-tolerant), MRN, and the whole email or
+    // phone number, which are encrypted and only matched exactly
+    const search = stringParam(req.query.search);
+    const { results: patients, total } = await searchRecords(Patient, {
+      hospitalId: req.hospitalId,
+      text: search,
+      identifiers: search ? [
+        { field: 'mrn', value: search.toUpperCase() },
+        { field: 'email', value: search.toLowerCase() },
+        ...(normalizePhone(search).length >= 7 ? [{ field: 'phone', value: search }] : [])
+      ] : [],
+      filters,
+      page,
+      limit,
+      select: patientProjection(req)
+    });
 
     res.json({
       success: true,
@@ -59,15 +163,198 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/patients/mine
+// @desc    Patients whose care team includes the caller (?role=primaryPhysician|consultant|nurse)
+// @access  Private (patients:read)
+router.get('/mine', [
+  auth,
+  requirePermission('patients:read')
+], async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+
+    const role = stringParam(req.query.role);
+    if (role && !CARE_TEAM_ROLES[role]) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${Object.keys(CARE_TEAM_ROLES).join(', ')}`
+      });
+    }
+
+    const clinician = await findClinician(req);
+    if (!clinician.doctorId && !clinician.staffId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account is not linked to a doctor or staff profile'
+      });
+    }
+
+    const query = {
+      hospitalId: req.hospitalId,
+      status: { $ne: 'Merged' },
+      // A role the caller cannot hold matches nothing
+      ...(careTeamFilter(clinician, role ? [role] : undefined) || { _id: null })
+    };
+
+    const [patients, total] = await Promise.all([
+      Patient.find(query)
+        .select(patientProjection(req))
+        .sort({ lastName: 1, firstName: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Patient.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: patients.map(patient => ({
+        ...patient.toJSON(),
+        careTeamRoles: careTeamRoles(patient, clinician),
+        patientAlert: alertIndicator(patient)
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my patients error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/patients/duplicates
+// @desc    Report likely duplicate patient records
+// @access  Private (patients:write)
+router.get('/duplicates', [
+  auth,
+  requirePermission('patients:write')
+], async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const pairs = await findDuplicatePairs(req.hospitalId, { limit });
+
+    res.json({
+      success: true,
+      data: pairs
+    });
+
+  } catch (error) {
+    console.error('Get duplicate patients error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/patients/mrn/:mrn
+// @desc    Look up a patient by medical record number
+// @access  Private (patients:read)
+router.get('/mrn/:mrn', [
+  auth,
+  requirePermission('patients:read'),
+  attachPatientRecord
+], async (req, res) => {
+  try {
+    const patient = await Patient.findOne({
+      hospitalId: req.hospitalId,
+      mrn: req.params.mrn.trim().toUpperCase(),
+      ...ownRecordFilter(req, '_id')
+    }).select(patientProjection(req));
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    if (!await canOpenChart(req, patient)) {
+      return rejectOutsideCareTeam(res);
+    }
+
+    res.json({
+      success: true,
+      data: patient
+    });
+
+  } catch (error) {
+    console.error('Get patient by MRN error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/patients/external/:system/:value
+// @desc    Look up a patient by an external identifier, e.g. /external/national-id/123456789
+// @access  Private (patients:read)
+router.get('/external/:system/:value', [
+  auth,
+  requirePermission('patients:read'),
+  attachPatientRecord
+], async (req, res) => {
+  try {
+    const patient = await Patient.findOne({
+      hospitalId: req.hospitalId,
+      externalIds: {
+        $elemMatch: {
+          system: req.params.system.trim().toLowerCase(),
+          value: req.params.value.trim()
+        }
+      },
+      ...ownRecordFilter(req, '_id')
+    }).select(patientProjection(req));
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    if (!await canOpenChart(req, patient)) {
+      return rejectOutsideCareTeam(res);
+    }
+
+    res.json({
+      success: true,
+      data: patient
+    });
+
+  } catch (error) {
+    console.error('Get patient by external ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/patients/:id
-// @desc    Get single patient
+// @desc    Get single patient, with its active clinical flags in `alerts` (not for patient users)
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', [
+  auth,
+  requirePermission('patients:read'),
+  requireCareTeam,
+  attachPatientRecord
+], async (req, res) => {
   try {
     const patient = await Patient.findOne({
       _id: req.params.id,
-      hospitalId: req.hospitalId
-    });
+      hospitalId: req.hospitalId,
+      ...ownRecordFilter(req, '_id')
+    }).select(patientProjection(req));
 
     if (!patient) {
       return res.status(404).json({
@@ -78,7 +365,8 @@ router.get('/:id', auth, async (req, res) => {
 
     res.json({
       success: true,
-      data: patient
+      data: patient,
+      ...(seesClinicalFlags(req) && { alerts: activeFlags(patient) })
     });
 
   } catch (error) {
@@ -95,13 +383,18 @@ router.get('/:id', auth, async (req, res) => {
 // @access  Private
 router.post('/', [
   auth,
-  authorize('doctor', 'hospitalOwner', 'staff'),
+  requirePermission('patients:write'),
+  enforceQuota('patients'),
   body('firstName').trim().isLength({ min: 2 }).withMessage('First name must be at least 2 characters'),
   body('lastName').trim().isLength({ min: 2 }).withMessage('Last name must be at least 2 characters'),
   body('email').isEmail().withMessage('Please provide a valid email'),
   body('phone').notEmpty().withMessage('Phone number is required'),
   body('dateOfBirth').isISO8601().withMessage('Please provide a valid date of birth'),
-  body('gender').isIn(['Male', 'Female', 'Other']).withMessage('Invalid gender')
+  body('gender').isIn(['Male', 'Female', 'Other']).withMessage('Invalid gender'),
+  body('status').optional().isIn(['Active', 'Inactive']).withMessage('Invalid status'),
+  body('externalIds').optional().isArray().withMessage('externalIds must be a list'),
+  body('externalIds.*.system').trim().notEmpty().withMessage('External ID system is required'),
+  body('externalIds.*.value').trim().notEmpty().withMessage('External ID value is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -113,13 +406,27 @@ router.post('/', [
       });
     }
 
-    const patientData = {
-      ...req.body,
-      hospitalId: req.hospitalId
-    };
+    // The MRN is always generated; everything else beyond the demographics is
+    // added through its own route once the patient exists
+    const patientData = pick(req.body, DEMOGRAPHIC_FIELDS);
 
-    const patient = new Patient(patientData);
-    await patient.save();
+    // Warn about likely duplicates; resubmit with ignoreDuplicates to create anyway
+    if (!req.body.ignoreDuplicates) {
+      const duplicates = await findDuplicateCandidates(req.hospitalId, patientData);
+      if (duplicates.length) {
+        return res.status(409).json({
+          success: false,
+          message: 'This patient may already be registered',
+          data: { duplicates }
+        });
+      }
+    }
+
+    const patient = new Patient({
+      ...patientData,
+      hospitalId: req.hospitalId
+    });
+    await saveWithMrn(patient, req.hospital);
 
     res.status(201).json({
       success: true,
@@ -128,6 +435,13 @@ router.post('/', [
     });
 
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Another patient already has one of these external IDs'
+      });
+    }
+
     console.error('Create patient error:', error);
     res.status(500).json({
       success: false,
@@ -141,14 +455,28 @@ router.post('/', [
 // @access  Private
 router.put('/:id', [
   auth,
-  authorize('doctor', 'hospitalOwner', 'staff')
+  requirePermission('patients:write'),
+  requireCareTeam,
+  body('status').optional().isIn(['Active', 'Inactive']).withMessage('Invalid status'),
+  body('externalIds').optional().isArray().withMessage('externalIds must be a list'),
+  body('externalIds.*.system').trim().notEmpty().withMessage('External ID system is required'),
+  body('externalIds.*.value').trim().notEmpty().withMessage('External ID value is required')
 ], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
     const patient = await Patient.findOneAndUpdate(
       { _id: req.params.id, hospitalId: req.hospitalId },
-      req.body,
+      pick(req.body, DEMOGRAPHIC_FIELDS),
       { new: true, runValidators: true }
-    );
+    ).select(patientProjection(req));
 
     if (!patient) {
       return res.status(404).json({
@@ -164,6 +492,13 @@ router.put('/:id', [
     });
 
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Another patient already has one of these external IDs'
+      });
+    }
+
     console.error('Update patient error:', error);
     res.status(500).json({
       success: false,
@@ -173,14 +508,24 @@ router.put('/:id', [
 });
 
 // @route   DELETE /api/patients/:id
-// @desc    Delete patient
-// @access  Private
+// @desc    Archive patient; the record is kept and can be restored by the hospital owner
+// @access  Private (patients:delete)
 router.delete('/:id', [
   auth,
-  authorize('hospitalOwner')
+  requirePermission('patients:delete'),
+  body('reason').trim().notEmpty().withMessage('A reason is required')
 ], async (req, res) => {
   try {
-    const patient = await Patient.findOneAndDelete({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const patient = await Patient.findOne({
       _id: req.params.id,
       hospitalId: req.hospitalId
     });
@@ -192,9 +537,11 @@ router.delete('/:id', [
       });
     }
 
+    await patient.softDelete(req.user._id, req.body.reason);
+
     res.json({
       success: true,
-      message: 'Patient deleted successfully'
+      message: 'Patient archived successfully'
     });
 
   } catch (error) {
@@ -209,15 +556,20 @@ router.delete('/:id', [
 // @route   GET /api/patients/recent
 // @desc    Get recent patients
 // @access  Private
-router.get('/recent', auth, async (req, res) => {
+router.get('/recent', [
+  auth,
+  requirePermission('patients:read'),
+  attachPatientRecord
+], async (req, res) => {
   try {
     const oneWeekAgo = new Date();
     oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
 
     const recentPatients = await Patient.find({
       hospitalId: req.hospitalId,
-      lastVisit: { $gte: oneWeekAgo }
-    }).sort({ lastVisit: -1 });
+      lastVisit: { $gte: oneWeekAgo },
+      ...ownRecordFilter(req, '_id')
+    }).select(patientProjection(req)).sort({ lastVisit: -1 });
 
     res.json({
       success: true,
@@ -233,4 +585,301 @@ router.get('/recent', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/patients/:id/portal-invitation
+// @desc    Invite the patient to create a portal account linked to this record
+// @access  Private (patients:write)
+router.post('/:id/portal-invitation', [
+  auth,
+  requirePermission('patients:write')
+], async (req, res) => {
+  try {
+    const patient = await Patient.findOne({
+      _id: req.params.id,
+      hospitalId: req.hospitalId
+    });
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    if (patient.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient already has a portal account'
+      });
+    }
+
+    const blockedReason = messagingBlockedReason(patient, 'portal-invitation');
+    if (blockedReason) {
+      return res.status(403).json({
+        success: false,
+        message: `${blockedReason}, so no invitation can be sent`
+      });
+    }
+
+    const invitation = await inviteUser({
+      hospitalId: req.hospitalId,
+      email: patient.email,
+      name: `${patient.firstName} ${patient.lastName}`,
+      role: 'patient',
+      patientId: patient._id
+    }, req.user);
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account with this email already exists. Link it instead.'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Portal invitation sent successfully',
+      data: invitation
+    });
+
+  } catch (error) {
+    console.error('Send portal invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/patients/:id/portal-user
+// @desc    Link an existing patient account to this record
+// @access  Private (patients:write)
+router.put('/:id/portal-user', [
+  auth,
+  requirePermission('patients:write'),
+  body('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      _id: req.body.userId,
+      hospitalId: req.hospitalId,
+      role: 'patient'
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient account not found'
+      });
+    }
+
+    const linkedPatient = await Patient.findOne({
+      hospitalId: req.hospitalId,
+      userId: user._id
+    });
+    if (linkedPatient && !linkedPatient._id.equals(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account is already linked to another patient record'
+      });
+    }
+
+    const patient = await Patient.findOneAndUpdate(
+      { _id: req.params.id, hospitalId: req.hospitalId },
+      { userId: user._id },
+      { new: true }
+    );
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Portal account linked successfully',
+      data: patient
+    });
+
+  } catch (error) {
+    console.error('Link portal user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/patients/:id/portal-user
+// @desc    Unlink the portal account from this record
+// @access  Private (patients:write)
+router.delete('/:id/portal-user', [
+  auth,
+  requirePermission('patients:write')
+], async (req, res) => {
+  try {
+    const patient = await Patient.findOneAndUpdate(
+      { _id: req.params.id, hospitalId: req.hospitalId },
+      { $unset: { userId: 1 } },
+      { new: true }
+    );
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Portal account unlinked successfully',
+      data: patient
+    });
+
+  } catch (error) {
+    console.error('Unlink portal user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Care team members with their names, for the care-team routes
+const populateCareTeam = [
+  {
+    path: 'careTeam.primaryPhysician careTeam.consultants',
+    select: 'specialization department',
+    populate: { path: 'userId', select: 'name email' }
+  },
+  { path: 'careTeam.nurses', select: 'firstName lastName department role' }
+];
+
+// @route   GET /api/patients/:id/care-team
+// @desc    Get the patient's care team
+// @access  Private (patients:read)
+router.get('/:id/care-team', [
+  auth,
+  requirePermission('patients:read'),
+  requireCareTeam,
+  attachPatientRecord
+], async (req, res) => {
+  try {
+    const patient = await Patient.findOne({
+      _id: req.params.id,
+      hospitalId: req.hospitalId,
+      ...ownRecordFilter(req, '_id')
+    }).select('careTeam').populate(populateCareTeam);
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: patient.careTeam
+    });
+
+  } catch (error) {
+    console.error('Get care team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/patients/:id/care-team
+// @desc    Assign the care team; only the fields sent are replaced
+//          (primaryPhysician: doctor id or null, consultants: doctor ids, nurses: staff ids)
+// @access  Private (patients:write)
+router.put('/:id/care-team', [
+  auth,
+  requirePermission('patients:write'),
+  requireCareTeam,
+  body('primaryPhysician').optional({ values: 'null' }).isMongoId().withMessage('primaryPhysician must be a doctor ID'),
+  body('consultants').optional().isArray().withMessage('consultants must be a list'),
+  body('consultants.*').isMongoId().withMessage('consultants must be doctor IDs'),
+  body('nurses').optional().isArray().withMessage('nurses must be a list'),
+  body('nurses.*').isMongoId().withMessage('nurses must be staff IDs')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const patient = await Patient.findOne({ _id: req.params.id, hospitalId: req.hospitalId });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    const { primaryPhysician, consultants, nurses } = req.body;
+    const doctorIds = [...new Set([primaryPhysician, ...(consultants || [])].filter(Boolean))];
+    const staffIds = [...new Set(nurses || [])];
+    const [doctorCount, staffCount] = await Promise.all([
+      Doctor.countDocuments({ _id: { $in: doctorIds }, hospitalId: req.hospitalId }),
+      Staff.countDocuments({ _id: { $in: staffIds }, hospitalId: req.hospitalId })
+    ]);
+    if (doctorCount !== doctorIds.length || staffCount !== staffIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Care team members must be doctors and staff of this hospital'
+      });
+    }
+
+    if (primaryPhysician !== undefined) {
+      patient.careTeam.primaryPhysician = primaryPhysician || undefined;
+    }
+    if (consultants) {
+      patient.careTeam.consultants = [...new Set(consultants)];
+    }
+    if (nurses) {
+      patient.careTeam.nurses = staffIds;
+    }
+    await patient.save();
+    await patient.populate(populateCareTeam);
+
+    res.json({
+      success: true,
+      message: 'Care team updated successfully',
+      data: patient.careTeam
+    });
+
+  } catch (error) {
+    console.error('Update care team error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Allergies, medications, medical history and flags
+router.use('/:id', patientClinicalRoutes);
+router.use('/:id/vitals', patientVitalsRoutes);
+router.use('/:id/insurance', patientInsuranceRoutes);
+router.use('/:id/consents', patientConsentsRoutes);
+
 module.exports = router;
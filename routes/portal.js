@@ -0,0 +1,87 @@
+const express = require('express');
+const Appointment = require('../models/Appointment');
+const { auth, requirePermission } = require('../middleware/auth');
+const { attachPatientRecord, requirePatientUser } = require('../middleware/patientAccess');
+const { getDayRange } = require('../utils/timezone');
+const { stringParam } = require('../utils/search');
+
+const router = express.Router();
+
+// Every portal route works on the caller's own linked patient record only.
+// Prescriptions and reports have no model yet (see routes/prescriptions.js
+// and routes/reports.js), so the portal does not offer them.
+const portalAccess = [
+  auth,
+  requirePermission('portal:access'),
+  requirePatientUser,
+  attachPatientRecord
+];
+
+// @route   GET /api/portal/profile
+// @desc    Get the patient's own demographics
+// @access  Private (portal:access)
+router.get('/profile', portalAccess, async (req, res) => {
+  try {
+    // Clinical flags are notes for staff
+    const { flags, ...profile } = req.patientRecord.toJSON();
+
+    res.json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    console.error('Get portal profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/portal/appointments
+// @desc    Get the patient's own appointments
+// @access  Private (portal:access)
+router.get('/appointments', portalAccess, async (req, res) => {
+  try {
+    const query = {
+      hospitalId: req.hospitalId,
+      patientId: req.patientRecord._id
+    };
+
+    // Filter by status
+    const status = stringParam(req.query.status);
+    if (status) {
+      query.status = status;
+    }
+
+    const timeZone = req.hospital.getTimeZone();
+
+    // Only upcoming appointments, from the start of today in the hospital's timezone
+    if (req.query.upcoming === 'true') {
+      query.startTime = { $gte: getDayRange(new Date(), timeZone).start };
+    }
+
+    const appointments = await Appointment.find(query)
+      .populate({
+        path: 'doctorId',
+        select: 'specialization department userId',
+        populate: { path: 'userId', select: 'name' }
+      })
+      .select('-createdBy -notes')
+      .sort({ startTime: -1 });
+
+    res.json({
+      success: true,
+      data: appointments.map(appointment => appointment.toLocalJSON(timeZone))
+    });
+
+  } catch (error) {
+    console.error('Get portal appointments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,15 @@
 const express = require('express');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 // @route   GET /api/prescriptions
 // @desc    Get prescriptions
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', [
+  auth,
+  requirePermission('prescriptions:read')
+], async (req, res) => {
   try {
     // TODO: Implement prescription functionality
     res.json({
@@ -28,7 +31,7 @@ router.get('/', auth, async (req, res) => {
 // @access  Private
 router.post('/', [
   auth,
-  authorize('doctor')
+  requirePermission('prescriptions:write')
 ], async (req, res) => {
   try {
     // TODO: Implement prescription creation
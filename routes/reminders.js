@@ -1,12 +1,15 @@
 const express = require('express');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
 // @route   GET /api/reminders
 // @desc    Get reminders
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', [
+  auth,
+  requirePermission('reminders:read')
+], async (req, res) => {
   try {
     // TODO: Implement reminders functionality
     res.json({
@@ -28,7 +31,7 @@ router.get('/', auth, async (req, res) => {
 // @access  Private
 router.post('/', [
   auth,
-  authorize('doctor', 'hospitalOwner', 'staff')
+  requirePermission('reminders:write')
 ], async (req, res) => {
   try {
     // TODO: Implement reminder creation
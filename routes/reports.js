@@ -1,5 +1,5 @@
 const express = require('express');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -8,7 +8,7 @@ const router = express.Router();
 // @access  Private
 router.get('/', [
   auth,
-  authorize('doctor', 'hospitalOwner', 'staff')
+  requirePermission('reports:read')
 ], async (req, res) => {
   try {
     // TODO: Implement reports functionality
@@ -31,7 +31,7 @@ router.get('/', [
 // @access  Private
 router.post('/', [
   auth,
-  authorize('doctor', 'hospitalOwner')
+  requirePermission('reports:write')
 ], async (req, res) => {
   try {
     // TODO: Implement report generation
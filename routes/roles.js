@@ -0,0 +1,348 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { auth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../utils/permissions');
+
+const router = express.Router();
+
+// Role managers may only hand out permissions they hold themselves,
+// otherwise roles:manage would be a way to gain any permission
+const rejectUngrantablePermissions = (req, res, permissions) => {
+  const ungrantable = permissions.filter(permission => !req.permissions.includes(permission));
+  if (ungrantable.length === 0) return false;
+
+  res.status(403).json({
+    success: false,
+    message: `You cannot grant permissions you do not hold: ${ungrantable.join(', ')}`
+  });
+  return true;
+};
+
+const roleValidation = [
+  body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+  body('permissions').isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').isIn(Object.keys(PERMISSIONS)).withMessage('Unknown permission')
+];
+
+// @route   GET /api/roles/permissions
+// @desc    Get the permission catalogue and built-in role defaults
+// @access  Private (roles:manage)
+router.get('/permissions', [
+  auth,
+  requirePermission('roles:manage')
+], async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+        defaults: DEFAULT_ROLE_PERMISSIONS
+      }
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/roles
+// @desc    Get custom roles of the hospital
+// @access  Private (roles:manage)
+router.get('/', [
+  auth,
+  requirePermission('roles:manage')
+], async (req, res) => {
+  try {
+    const roles = await Role.find({ hospitalId: req.hospitalId }).sort({ name: 1 });
+
+    const memberCounts = await User.aggregate([
+      { $match: { hospitalId: req.hospitalId, customRoleId: { $in: roles.map(role => role._id) } } },
+      { $group: { _id: '$customRoleId', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      data: roles.map(role => {
+        const members = memberCounts.find(entry => entry._id.equals(role._id));
+        return {
+          ...role.toObject(),
+          memberCount: members ? members.count : 0
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/roles
+// @desc    Create a custom role
+// @access  Private (roles:manage)
+router.post('/', [
+  auth,
+  requirePermission('roles:manage'),
+  ...roleValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (rejectUngrantablePermissions(req, res, req.body.permissions)) return;
+
+    const existingRole = await Role.findOne({ hospitalId: req.hospitalId, name: req.body.name });
+    if (existingRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role with this name already exists'
+      });
+    }
+
+    const role = new Role({
+      hospitalId: req.hospitalId,
+      name: req.body.name,
+      description: req.body.description,
+      permissions: req.body.permissions,
+      createdBy: req.user._id
+    });
+    await role.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/roles/:id
+// @desc    Update a custom role
+// @access  Private (roles:manage)
+router.put('/:id', [
+  auth,
+  requirePermission('roles:manage'),
+  ...roleValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (rejectUngrantablePermissions(req, res, req.body.permissions)) return;
+
+    const duplicateRole = await Role.findOne({
+      hospitalId: req.hospitalId,
+      name: req.body.name,
+      _id: { $ne: req.params.id }
+    });
+    if (duplicateRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role with this name already exists'
+      });
+    }
+
+    const role = await Role.findOneAndUpdate(
+      { _id: req.params.id, hospitalId: req.hospitalId },
+      {
+        name: req.body.name,
+        description: req.body.description,
+        permissions: req.body.permissions,
+        updatedBy: req.user._id
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/roles/:id
+// @desc    Delete a custom role that is not assigned to anyone
+// @access  Private (roles:manage)
+router.delete('/:id', [
+  auth,
+  requirePermission('roles:manage')
+], async (req, res) => {
+  try {
+    const memberCount = await User.countDocuments({
+      hospitalId: req.hospitalId,
+      customRoleId: req.params.id
+    });
+    if (memberCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role is still assigned to users. Remove it from them first.'
+      });
+    }
+
+    const role = await Role.findOneAndDelete({
+      _id: req.params.id,
+      hospitalId: req.hospitalId
+    });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/roles/:id/members
+// @desc    Assign a custom role to a user
+// @access  Private (roles:manage)
+router.post('/:id/members', [
+  auth,
+  requirePermission('roles:manage'),
+  body('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const role = await Role.findOne({ _id: req.params.id, hospitalId: req.hospitalId });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const user = await User.findOne({ _id: req.body.userId, hospitalId: req.hospitalId });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Owners always keep full access
+    if (user.role === 'hospitalOwner') {
+      return res.status(400).json({
+        success: false,
+        message: 'Custom roles cannot be assigned to hospital owners'
+      });
+    }
+
+    if (rejectUngrantablePermissions(req, res, role.permissions)) return;
+
+    user.customRoleId = role._id;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Role assigned successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Assign role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/roles/:id/members/:userId
+// @desc    Remove a custom role from a user
+// @access  Private (roles:manage)
+router.delete('/:id/members/:userId', [
+  auth,
+  requirePermission('roles:manage')
+], async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.userId, hospitalId: req.hospitalId, customRoleId: req.params.id },
+      { $unset: { customRoleId: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User does not have this role'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Role removed successfully',
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Remove role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
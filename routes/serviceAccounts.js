@@ -0,0 +1,364 @@
+const express = require('express');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { body, validationResult } = require('express-validator');
+const ServiceAccount = require('../models/ServiceAccount');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { auth, requirePermission, rejectApiKeys } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const router = express.Router();
+
+const DEFAULT_KEY_EXPIRES_DAYS = 90;
+
+// Keys cannot be used to mint or revoke other keys
+router.use(rejectApiKeys);
+
+const keyValidation = [
+  body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(Object.keys(PERMISSIONS)).withMessage('Unknown scope'),
+  body('expiresInDays').optional().isInt({ min: 1, max: 365 }).withMessage('expiresInDays must be between 1 and 365')
+];
+
+const keyExpiry = (expiresInDays = DEFAULT_KEY_EXPIRES_DAYS) => {
+  return new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+};
+
+const findServiceAccount = (req) => {
+  return ServiceAccount.findOne({
+    _id: req.params.id,
+    hospitalId: req.hospitalId,
+    status: 'active'
+  });
+};
+
+// @route   GET /api/service-accounts
+// @desc    Get service accounts of the hospital
+// @access  Private (integrations:manage)
+router.get('/', [
+  auth,
+  requirePermission('integrations:manage')
+], async (req, res) => {
+  try {
+    const serviceAccounts = await ServiceAccount.find({ hospitalId: req.hospitalId })
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: serviceAccounts
+    });
+
+  } catch (error) {
+    console.error('Get service accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/service-accounts
+// @desc    Create a service account for a machine integration
+// @access  Private (integrations:manage)
+router.post('/', [
+  auth,
+  requirePermission('integrations:manage'),
+  body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Backing user with a random password nobody knows; login rejects this role anyway
+    const user = new User({
+      name: req.body.name,
+      email: `svc-${uuidv4()}@service-accounts.medisync.local`,
+      password: crypto.randomBytes(32).toString('hex'),
+      role: 'serviceAccount',
+      hospitalId: req.hospitalId,
+      emailVerified: true
+    });
+    await user.save();
+
+    const serviceAccount = new ServiceAccount({
+      userId: user._id,
+      hospitalId: req.hospitalId,
+      name: req.body.name,
+      description: req.body.description,
+      createdBy: req.user._id
+    });
+    await serviceAccount.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Service account created successfully',
+      data: serviceAccount
+    });
+
+  } catch (error) {
+    console.error('Create service account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/service-accounts/:id
+// @desc    Disable a service account and revoke all of its keys
+// @access  Private (integrations:manage)
+router.delete('/:id', [
+  auth,
+  requirePermission('integrations:manage')
+], async (req, res) => {
+  try {
+    const serviceAccount = await ServiceAccount.findOneAndUpdate(
+      { _id: req.params.id, hospitalId: req.hospitalId },
+      { status: 'disabled' },
+      { new: true }
+    );
+
+    if (!serviceAccount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service account not found'
+      });
+    }
+
+    await User.findByIdAndUpdate(serviceAccount.userId, { status: 'inactive' });
+    await ApiKey.updateMany(
+      { serviceAccountId: serviceAccount._id, revokedAt: null },
+      { revokedAt: new Date(), revokedBy: req.user._id }
+    );
+
+    res.json({
+      success: true,
+      message: 'Service account disabled successfully',
+      data: serviceAccount
+    });
+
+  } catch (error) {
+    console.error('Disable service account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/service-accounts/:id/keys
+// @desc    Get API keys of a service account
+// @access  Private (integrations:manage)
+router.get('/:id/keys', [
+  auth,
+  requirePermission('integrations:manage')
+], async (req, res) => {
+  try {
+    const query = {
+      serviceAccountId: req.params.id,
+      hospitalId: req.hospitalId
+    };
+
+    // Revoked keys are hidden unless asked for
+    if (req.query.includeRevoked !== 'true') {
+      query.revokedAt = null;
+    }
+
+    const apiKeys = await ApiKey.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: apiKeys
+    });
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/service-accounts/:id/keys
+// @desc    Issue a new API key
+// @access  Private (integrations:manage)
+router.post('/:id/keys', [
+  auth,
+  requirePermission('integrations:manage'),
+  ...keyValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const serviceAccount = await findServiceAccount(req);
+    if (!serviceAccount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service account not found'
+      });
+    }
+
+    const apiKey = new ApiKey({
+      serviceAccountId: serviceAccount._id,
+      hospitalId: req.hospitalId,
+      name: req.body.name,
+      scopes: req.body.scopes,
+      expiresAt: keyExpiry(req.body.expiresInDays),
+      createdBy: req.user._id
+    });
+    const key = apiKey.createKey();
+    await apiKey.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now; it will not be shown again.',
+      data: {
+        ...apiKey.toJSON(),
+        key
+      }
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/service-accounts/:id/keys/:keyId/rotate
+// @desc    Replace an API key with a new one carrying the same scopes
+// @access  Private (integrations:manage)
+router.post('/:id/keys/:keyId/rotate', [
+  auth,
+  requirePermission('integrations:manage'),
+  body('gracePeriodHours').optional().isInt({ min: 0, max: 72 }).withMessage('gracePeriodHours must be between 0 and 72'),
+  body('expiresInDays').optional().isInt({ min: 1, max: 365 }).withMessage('expiresInDays must be between 1 and 365')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const serviceAccount = await findServiceAccount(req);
+    const oldKey = serviceAccount && await ApiKey.findOne({
+      _id: req.params.keyId,
+      serviceAccountId: serviceAccount._id
+    });
+
+    if (!oldKey || !oldKey.isActive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    const apiKey = new ApiKey({
+      serviceAccountId: serviceAccount._id,
+      hospitalId: req.hospitalId,
+      name: oldKey.name,
+      scopes: oldKey.scopes,
+      expiresAt: keyExpiry(req.body.expiresInDays),
+      rotatedFrom: oldKey._id,
+      createdBy: req.user._id
+    });
+    const key = apiKey.createKey();
+    await apiKey.save();
+
+    // The old key keeps working for the grace period so the integration can be redeployed
+    const gracePeriodHours = parseInt(req.body.gracePeriodHours) || 0;
+    if (gracePeriodHours > 0) {
+      const graceEnd = new Date(Date.now() + gracePeriodHours * 60 * 60 * 1000);
+      if (graceEnd < oldKey.expiresAt) {
+        oldKey.expiresAt = graceEnd;
+      }
+    } else {
+      oldKey.revokedAt = new Date();
+      oldKey.revokedBy = req.user._id;
+    }
+    await oldKey.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'API key rotated. Copy the new key now; it will not be shown again.',
+      data: {
+        ...apiKey.toJSON(),
+        key,
+        previousKeyExpiresAt: oldKey.revokedAt || oldKey.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/service-accounts/:id/keys/:keyId
+// @desc    Revoke an API key
+// @access  Private (integrations:manage)
+router.delete('/:id/keys/:keyId', [
+  auth,
+  requirePermission('integrations:manage')
+], async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      {
+        _id: req.params.keyId,
+        serviceAccountId: req.params.id,
+        hospitalId: req.hospitalId,
+        revokedAt: null
+      },
+      { revokedAt: new Date(), revokedBy: req.user._id },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,51 +1,112 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
 const Staff = require('../models/Staff');
-const User = require('../models/User');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, requirePermission, hasPermission } = require('../middleware/auth');
+const { enforceQuota } = require('../middleware/subscription');
+const { inviteUser } = require('../utils/invitations');
+const { stringParam, searchRecords } = require('../utils/search');
+const createArchiveRouter = require('./archive');
+const createHistoryRouter = require('./history');
 
 const router = express.Router();
 
+// Salaries are only returned to users allowed to see them
+const salaryProjection = (req) => {
+  return hasPermission(req, 'staff:salary:read') ? '' : '-salary';
+};
+
+// Fields a staff profile update may change; the linked user account and
+// the hospital never change, and archiving goes through its own routes
+const PROFILE_FIELDS = [
+  'employeeId',
+  'firstName',
+  'lastName',
+  'department',
+  'role',
+  'phone',
+  'email',
+  'address',
+  'dateOfBirth',
+  'gender',
+  'emergencyContact',
+  'joiningDate',
+  'salary',
+  'workSchedule',
+  'qualifications',
+  'certifications',
+  'status',
+  'notes'
+];
+
+const pick = (source, fields) => {
+  return fields.reduce((result, field) => {
+    if (source[field] !== undefined) {
+      result[field] = source[field];
+    }
+    return result;
+  }, {});
+};
+
+const rejectSalaryWrite = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: 'Access denied. Setting a salary requires the staff:salary:write permission.'
+  });
+};
+
+// GET /archived, PUT /:id/archive, PUT /:id/restore and DELETE /:id/purge.
+// DELETE /:id only deactivates; archiving removes the record from lists.
+router.use(createArchiveRouter({
+  Model: Staff,
+  label: 'Staff member',
+  permission: 'staff:write',
+  select: salaryProjection
+}));
+
+// GET /:id/history and GET /:id/as-of
+router.use(createHistoryRouter({
+  Model: Staff,
+  label: 'Staff member',
+  permission: 'staff:read',
+  hidden: (req) => (hasPermission(req, 'staff:salary:read') ? [] : ['salary'])
+}));
+
 // @route   GET /api/staff
 // @desc    Get all staff
-// @access  Private (hospitalOwner, staff)
+// @access  Private (staff:read)
 router.get('/', [
   auth,
-  authorize('hospitalOwner', 'staff')
+  requirePermission('staff:read')
 ], async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    const query = { hospitalId: req.hospitalId };
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
 
-    // Filter by department
-    if (req.query.department) {
-      query.department = req.query.department;
-    }
-
-    // Filter by role
-    if (req.query.role) {
-      query.role = req.query.role;
-    }
-
-    // Search by name or employee ID
-    if (req.query.search) {
-      const searchRegex = new RegExp(req.query.search, 'i');
-      query.$or = [
-        { employeeId: searchRegex },
-        { firstName: searchRegex },
-        { lastName: searchRegex }
-      ];
-    }
-
-    const staff = await Staff.find(query)
-      .populate('userId', 'email role createdAt')
-      .sort({ firstName: 1, lastName: 1 })
-      .skip(skip)
-      .limit(limit);
+    const filters = {};
+    ['department', 'role', 'status'].forEach(field => {
+      const value = stringParam(req.query[field]);
+      if (value) {
+        filters[field] = value;
+      }
+    });
 
-    const total = await Staff.countDocuments(query);
+    // Free text matches names (typo-tolerant), phone numbers, employee ID and email
+    const search = stringParam(req.query.search);
+    const { results: staff, total } = await searchRecords(Staff, {
+      hospitalId: req.hospitalId,
+      text: search,
+      identifiers: search ? [
+        { field: 'employeeId', value: search },
+        { field: 'email', value: search.toLowerCase() }
+      ] : [],
+      filters,
+      sort: { firstName: 1, lastName: 1 },
+      page,
+      limit,
+      select: salaryProjection(req),
+      populate: { path: 'userId', select: 'email role createdAt' }
+    });
 
     res.json({
       success: true,
@@ -68,45 +129,81 @@ router.get('/', [
 });
 
 // @route   POST /api/staff
-// @desc    Create new staff member
-// @access  Private (hospitalOwner only)
+// @desc    Invite a new staff member
+// @access  Private (staff:write)
 router.post('/', [
   auth,
-  authorize('hospitalOwner')
+  requirePermission('staff:write'),
+  enforceQuota('staff'),
+  body('email').isEmail().withMessage('Please provide a valid email'),
+  body('staffData').isObject().withMessage('Staff profile data is required'),
+  body('expiresInDays').optional().isInt({ min: 1, max: 30 }).withMessage('expiresInDays must be between 1 and 30')
 ], async (req, res) => {
   try {
-    const { userData, staffData } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
 
-    // Create user account first
-    const userAccountData = {
-      ...userData,
-      role: 'staff',
-      hospitalId: req.hospitalId
-    };
+    const { email, staffData, expiresInDays } = req.body;
 
-    const user = new User(userAccountData);
-    await user.save();
+    if (!hasPermission(req, 'staff:salary:write')) {
+      return rejectSalaryWrite(res);
+    }
 
-    // Create staff profile
-    const staffProfileData = {
+    // Validate the profile now so the invitation cannot fail on acceptance
+    const draft = new Staff({
       ...staffData,
-      userId: user._id,
+      email,
+      userId: new mongoose.Types.ObjectId(),
       hospitalId: req.hospitalId
-    };
+    });
+    await draft.validate();
 
-    const staff = new Staff(staffProfileData);
-    await staff.save();
+    const existingStaff = await Staff.findOne({ employeeId: draft.employeeId });
+    if (existingStaff) {
+      return res.status(400).json({
+        success: false,
+        message: 'Staff member with this employee ID already exists'
+      });
+    }
 
-    // Populate the created staff member
-    await staff.populate('userId', 'email role createdAt');
+    // The account and profile are created when the invitation is accepted
+    const invitation = await inviteUser({
+      hospitalId: req.hospitalId,
+      email,
+      name: `${draft.firstName} ${draft.lastName}`,
+      role: 'staff',
+      staffData,
+      expiresInDays
+    }, req.user);
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Staff member created successfully',
-      data: staff
+      message: 'Staff invitation sent successfully',
+      data: invitation
     });
 
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
     console.error('Create staff error:', error);
     res.status(500).json({
       success: false,
@@ -117,17 +214,25 @@ router.post('/', [
 
 // @route   PUT /api/staff/:id
 // @desc    Update staff member
-// @access  Private (hospitalOwner only)
+// @access  Private (staff:write)
 router.put('/:id', [
   auth,
-  authorize('hospitalOwner')
+  requirePermission('staff:write')
 ], async (req, res) => {
   try {
+    const update = pick(req.body, PROFILE_FIELDS);
+
+    if (update.salary !== undefined && !hasPermission(req, 'staff:salary:write')) {
+      return rejectSalaryWrite(res);
+    }
+
     const staff = await Staff.findOneAndUpdate(
       { _id: req.params.id, hospitalId: req.hospitalId },
-      req.body,
+      update,
       { new: true, runValidators: true }
-    ).populate('userId', 'email role createdAt');
+    )
+    .select(salaryProjection(req))
+    .populate('userId', 'email role createdAt');
 
     if (!staff) {
       return res.status(404).json({
@@ -153,17 +258,17 @@ router.put('/:id', [
 
 // @route   DELETE /api/staff/:id
 // @desc    Deactivate staff member
-// @access  Private (hospitalOwner only)
+// @access  Private (staff:write)
 router.delete('/:id', [
   auth,
-  authorize('hospitalOwner')
+  requirePermission('staff:write')
 ], async (req, res) => {
   try {
     const staff = await Staff.findOneAndUpdate(
       { _id: req.params.id, hospitalId: req.hospitalId },
       { status: 'inactive' },
       { new: true }
-    );
+    ).select(salaryProjection(req));
 
     if (!staff) {
       return res.status(404).json({
@@ -190,7 +295,10 @@ router.delete('/:id', [
 // @route   GET /api/staff/departments
 // @desc    Get staff by departments
 // @access  Private
-router.get('/departments', auth, async (req, res) => {
+router.get('/departments', [
+  auth,
+  requirePermission('staff:read')
+], async (req, res) => {
   try {
     const departments = await Staff.aggregate([
       { $match: { hospitalId: req.hospitalId, status: 'active' } },
@@ -0,0 +1,171 @@
+const express = require('express');
+const Plan = require('../models/Plan');
+const PaymentEvent = require('../models/PaymentEvent');
+const { auth, requirePermission } = require('../middleware/auth');
+const { getHospitalPlan, getUsage } = require('../middleware/subscription');
+const { SIGNATURE_HEADER, verifySignature, applyPaymentEvent } = require('../utils/payments');
+const { QUOTA_RESOURCES } = require('../utils/plans');
+
+const router = express.Router();
+
+// @route   GET /api/subscription/plans
+// @desc    List the plans on offer
+// @access  Public
+router.get('/plans', async (req, res) => {
+  try {
+    const plans = await Plan.find({ active: true }).sort({ 'price.amount': 1 });
+
+    res.json({
+      success: true,
+      data: plans
+    });
+
+  } catch (error) {
+    console.error('Get plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/subscription
+// @desc    Get the hospital's subscription and effective plan
+// @access  Private (billing:manage)
+router.get('/', [
+  auth,
+  requirePermission('billing:manage')
+], async (req, res) => {
+  try {
+    const { subscription, plan } = await getHospitalPlan(req.hospitalId);
+
+    res.json({
+      success: true,
+      data: {
+        subscription,
+        plan
+      }
+    });
+
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/subscription/usage
+// @desc    Get usage against the plan's limits
+// @access  Private (billing:manage)
+router.get('/usage', [
+  auth,
+  requirePermission('billing:manage')
+], async (req, res) => {
+  try {
+    const [{ plan }, usage] = await Promise.all([
+      getHospitalPlan(req.hospitalId),
+      getUsage(req.hospitalId)
+    ]);
+
+    const resources = QUOTA_RESOURCES.reduce((result, resource) => {
+      const limit = plan ? plan.limitFor(resource) : null;
+      result[resource] = {
+        used: usage[resource],
+        limit,
+        remaining: limit === null ? null : Math.max(limit - usage[resource], 0)
+      };
+      return result;
+    }, {});
+
+    res.json({
+      success: true,
+      data: {
+        plan: plan && { code: plan.code, name: plan.name },
+        features: plan ? plan.features : [],
+        resources
+      }
+    });
+
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/subscription/webhook
+// @desc    Receive subscription and payment events from the payment provider
+// @access  Public (signed with PAYMENT_WEBHOOK_SECRET)
+router.post('/webhook', async (req, res) => {
+  try {
+    if (!verifySignature(req.rawBody, req.get(SIGNATURE_HEADER), process.env.PAYMENT_WEBHOOK_SECRET)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const event = req.body;
+    if (!event || !event.id || !event.type) {
+      return res.status(400).json({
+        success: false,
+        message: 'Event id and type are required'
+      });
+    }
+
+    // Providers redeliver events; only process each one once
+    let record;
+    try {
+      record = await PaymentEvent.create({
+        eventId: event.id,
+        type: event.type,
+        hospitalId: event.data && event.data.hospitalId,
+        payload: event
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      record = await PaymentEvent.findOne({ eventId: event.id });
+      if (record.processedAt) {
+        return res.json({
+          success: true,
+          message: 'Event already processed'
+        });
+      }
+    }
+
+    try {
+      await applyPaymentEvent(event);
+    } catch (error) {
+      record.error = error.message;
+      await record.save();
+
+      return res.status(422).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    record.processedAt = new Date();
+    record.error = undefined;
+    await record.save();
+
+    res.json({
+      success: true,
+      message: 'Event processed'
+    });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
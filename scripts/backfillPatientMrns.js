@@ -0,0 +1,53 @@
+// One-off migration: give patients created before MRNs existed a medical
+// record number, in order of registration, using each hospital's MRN settings.
+//
+// Usage: npm run migrate:patient-mrns
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Hospital = require('../models/Hospital');
+const Patient = require('../models/Patient');
+const { generateMrn } = require('../utils/mrn');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const hospitals = new Map();
+  const getHospital = async (hospitalId) => {
+    if (!hospitals.has(hospitalId)) {
+      hospitals.set(hospitalId, await Hospital.findByTenantId(hospitalId));
+    }
+    return hospitals.get(hospitalId);
+  };
+
+  const cursor = Patient.find({ mrn: { $exists: false } }).sort({ createdAt: 1 }).cursor();
+
+  let migrated = 0;
+  const skipped = [];
+
+  for await (const patient of cursor) {
+    const hospital = await getHospital(patient.hospitalId);
+    if (!hospital) {
+      skipped.push(patient._id);
+      continue;
+    }
+
+    await Patient.updateOne(
+      { _id: patient._id, mrn: { $exists: false } },
+      { $set: { mrn: await generateMrn(hospital) } }
+    );
+    migrated++;
+  }
+
+  console.log(`Assigned MRNs to ${migrated} patient(s)`);
+  if (skipped.length) {
+    console.log(`Skipped ${skipped.length} patient(s) without a hospital: ${skipped.join(', ')}`);
+  }
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Patient MRN migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
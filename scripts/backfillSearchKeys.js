@@ -0,0 +1,38 @@
+// One-off migration: compute search keys for patients and staff created
+// before the search service existed. Safe to run again.
+//
+// Usage: npm run migrate:search-keys
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const Staff = require('../models/Staff');
+
+const backfill = async (Model) => {
+  const cursor = Model.find({ searchKeys: { $exists: false } }).cursor();
+  let updated = 0;
+
+  for await (const record of cursor) {
+    await Model.collection.updateOne(
+      { _id: record._id },
+      { $set: { searchKeys: Model.computeSearchKeys(record) } }
+    );
+    updated++;
+  }
+
+  return updated;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  console.log(`Indexed ${await backfill(Patient)} patient(s)`);
+  console.log(`Indexed ${await backfill(Staff)} staff member(s)`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Search key migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
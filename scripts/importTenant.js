@@ -0,0 +1,41 @@
+// Import a hospital export archive as a new hospital. Ids are remapped, but
+// user emails and the registration number are not, so the hospital and its
+// users must not exist in the target database; --dry-run lists any conflicts.
+//
+// Usage: npm run tenant:import -- <archive.tar.gz> [--dry-run]
+require('dotenv').config();
+
+const fs = require('fs/promises');
+const mongoose = require('mongoose');
+const { importTenant } = require('../utils/tenantArchive');
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const archivePath = args.find(arg => !arg.startsWith('--'));
+
+  if (!archivePath) {
+    throw new Error('Usage: importTenant.js <archive.tar.gz> [--dry-run]');
+  }
+
+  const archive = await fs.readFile(archivePath);
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const report = await importTenant(archive, { dryRun });
+    console.log(JSON.stringify(report, null, 2));
+    console.log(dryRun ? 'Dry run: nothing was imported' : `Imported as hospital ${report.hospitalId}`);
+  } catch (error) {
+    if (error.report) {
+      console.log(JSON.stringify(error.report, null, 2));
+    }
+    throw error;
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('Tenant import failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
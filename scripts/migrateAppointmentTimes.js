@@ -0,0 +1,71 @@
+// One-off migration: convert appointments stored as a date plus a free-form
+// time string (appointmentDate / appointmentTime) into startTime / endTime
+// instants, reading the local time in each hospital's configured timezone.
+//
+// Usage: npm run migrate:appointment-times
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Hospital = require('../models/Hospital');
+const { DEFAULT_TIMEZONE, localDateTimeToUtc } = require('../utils/timezone');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const appointments = mongoose.connection.collection('appointments');
+  const timeZones = new Map();
+
+  const getTimeZone = async (hospitalId) => {
+    if (!timeZones.has(hospitalId)) {
+      const hospital = await Hospital.findByTenantId(hospitalId);
+      timeZones.set(hospitalId, hospital ? hospital.getTimeZone() : DEFAULT_TIMEZONE);
+    }
+    return timeZones.get(hospitalId);
+  };
+
+  const cursor = appointments.find({
+    startTime: { $exists: false },
+    appointmentDate: { $exists: true }
+  });
+
+  let migrated = 0;
+  const skipped = [];
+
+  for await (const appointment of cursor) {
+    const timeZone = await getTimeZone(appointment.hospitalId);
+    // appointmentDate was saved from a calendar date, so its UTC date is the intended day
+    const date = new Date(appointment.appointmentDate).toISOString().slice(0, 10);
+    const startTime = localDateTimeToUtc(date, appointment.appointmentTime, timeZone);
+
+    if (!startTime) {
+      skipped.push(appointment._id);
+      continue;
+    }
+
+    const duration = appointment.duration || 30;
+    await appointments.updateOne(
+      { _id: appointment._id },
+      {
+        $set: {
+          startTime,
+          endTime: new Date(startTime.getTime() + duration * 60 * 1000),
+          duration
+        },
+        $unset: { appointmentDate: '', appointmentTime: '' }
+      }
+    );
+    migrated++;
+  }
+
+  console.log(`Migrated ${migrated} appointment(s)`);
+  if (skipped.length) {
+    console.log(`Skipped ${skipped.length} appointment(s) with an unreadable time: ${skipped.join(', ')}`);
+  }
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Appointment migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,47 @@
+// One-off migration: move free-text allergies, medications and medical
+// history into legacyNotes so the fields can hold structured entries.
+// Nothing is parsed; clinicians re-enter the entries from the notes.
+//
+// Usage: npm run migrate:patient-clinical-data
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+
+const FIELDS = ['allergies', 'medications', 'medicalHistory'];
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const patients = mongoose.connection.collection('patients');
+  const cursor = patients.find({
+    $or: FIELDS.map(field => ({ [field]: { $type: 'string' } }))
+  });
+
+  let migrated = 0;
+
+  for await (const patient of cursor) {
+    const update = { $set: {} };
+
+    FIELDS.forEach(field => {
+      if (typeof patient[field] !== 'string') return;
+
+      const text = patient[field].trim();
+      if (text) {
+        update.$set[`legacyNotes.${field}`] = text;
+      }
+      update.$set[field] = [];
+    });
+
+    await patients.updateOne({ _id: patient._id }, update);
+    migrated++;
+  }
+
+  console.log(`Migrated ${migrated} patient(s)`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('Patient clinical data migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,216 @@
+// One-off migration for databases from before hospitals were tenants, when
+// records carried a free-form hospitalId (DEFAULT_HOSPITAL_ID). Creates a
+// Hospital for every hospitalId that does not belong to one and rewrites that
+// hospitalId on every collection, together with the encrypted values and
+// upload file names that embed it. Sessions of migrated hospitals are revoked,
+// because their access tokens still carry the old id; users sign in again.
+//
+// Run it with the API stopped. Each new hospital is named after its old id,
+// which also becomes its registration number; the owner can then set the
+// real name through PUT /api/hospitals/current.
+//
+// Usage: npm run migrate:tenant-ids [-- --dry-run]
+require('dotenv').config();
+
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+const Hospital = require('../models/Hospital');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Patient = require('../models/Patient');
+const Doctor = require('../models/Doctor');
+const Staff = require('../models/Staff');
+const Appointment = require('../models/Appointment');
+const Vitals = require('../models/Vitals');
+const DataKey = require('../models/DataKey');
+const Invitation = require('../models/Invitation');
+const ServiceAccount = require('../models/ServiceAccount');
+const ApiKey = require('../models/ApiKey');
+const EmergencyAccess = require('../models/EmergencyAccess');
+const LoginActivity = require('../models/LoginActivity');
+const Counter = require('../models/Counter');
+const PatientMerge = require('../models/PatientMerge');
+const RecordHistory = require('../models/RecordHistory');
+const TenantExport = require('../models/TenantExport');
+const Session = require('../models/Session');
+const Subscription = require('../models/Subscription');
+const PaymentEvent = require('../models/PaymentEvent');
+
+const UPLOADS_DIR = 'uploads';
+
+// Every model with a hospitalId. The raw collections are used so that
+// archived records are migrated too and no hooks run.
+const TENANT_MODELS = [
+  User,
+  Role,
+  Patient,
+  Doctor,
+  Staff,
+  Appointment,
+  Vitals,
+  DataKey,
+  Invitation,
+  ServiceAccount,
+  ApiKey,
+  EmergencyAccess,
+  LoginActivity,
+  Counter,
+  PatientMerge,
+  RecordHistory,
+  TenantExport,
+  Session,
+  Subscription,
+  PaymentEvent
+];
+
+// Models whose documents may hold encrypted values or upload paths
+const EMBEDDING_MODELS = [Patient, RecordHistory];
+
+// hospitalIds from before hospitals were tenants, i.e. not a Hospital _id
+const findLegacyIds = async () => {
+  const ids = new Set();
+  for (const model of TENANT_MODELS) {
+    (await model.collection.distinct('hospitalId')).forEach(id => ids.add(id));
+  }
+
+  // Ids in the current format without a hospital belong to a deleted
+  // hospital, not an old deployment, and are left alone
+  return [...ids].filter(id => typeof id === 'string' && id && !/^[0-9a-f]{24}$/.test(id));
+};
+
+// Encrypted values start with enc:<hospitalId>: and uploaded files are named
+// <hospitalId>-...; other strings are left alone, as a free-form id may also
+// appear in clinical text
+const idRewriter = (oldId, newId) => (value) => {
+  if (value.startsWith(`enc:${oldId}:`)) {
+    return `enc:${newId}:${value.slice(`enc:${oldId}:`.length)}`;
+  }
+  if (/^\/?uploads\//.test(value) && path.posix.basename(value).startsWith(`${oldId}-`)) {
+    return `${path.posix.dirname(value)}/${newId}-${path.posix.basename(value).slice(oldId.length + 1)}`;
+  }
+  return value;
+};
+
+const rewriteStrings = (value, rewrite) => {
+  if (typeof value === 'string') {
+    return rewrite(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => rewriteStrings(item, rewrite));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date) && !value._bsontype) {
+    return Object.keys(value).reduce((result, key) => {
+      result[key] = rewriteStrings(value[key], rewrite);
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+const renameUploads = async (oldId, newId, dir = UPLOADS_DIR) => {
+  let dirents;
+  try {
+    dirents = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  let renamed = 0;
+  for (const dirent of dirents) {
+    const fullPath = path.join(dir, dirent.name);
+    if (dirent.isDirectory()) {
+      renamed += await renameUploads(oldId, newId, fullPath);
+    } else if (dirent.isFile() && dirent.name.startsWith(`${oldId}-`)) {
+      await fs.rename(fullPath, path.join(dir, `${newId}-${dirent.name.slice(oldId.length + 1)}`));
+      renamed++;
+    }
+  }
+  return renamed;
+};
+
+const countDocuments = async (hospitalId) => {
+  const counts = {};
+  for (const model of TENANT_MODELS) {
+    const count = await model.collection.countDocuments({ hospitalId });
+    if (count) counts[model.collection.collectionName] = count;
+  }
+  return counts;
+};
+
+const migrateTenant = async (oldId) => {
+  const owner = await User.collection.findOne({ hospitalId: oldId, role: 'hospitalOwner' }, { sort: { createdAt: 1 } });
+
+  // A hospital left by an interrupted run is reused
+  const hospital = await Hospital.findOne({ registrationNumber: oldId }) || await Hospital.create({
+    name: oldId,
+    registrationNumber: oldId,
+    ownerId: owner ? owner._id : undefined
+  });
+  const newId = hospital._id.toString();
+
+  await Session.collection.updateMany(
+    { hospitalId: oldId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'Hospital id migrated' } }
+  );
+
+  for (const model of TENANT_MODELS) {
+    await model.collection.updateMany({ hospitalId: oldId }, { $set: { hospitalId: newId } });
+  }
+
+  const rewrite = idRewriter(oldId, newId);
+  let rewritten = 0;
+  for (const model of EMBEDDING_MODELS) {
+    for await (const document of model.collection.find({ hospitalId: newId })) {
+      let changed = false;
+      const updated = rewriteStrings(document, (value) => {
+        const result = rewrite(value);
+        changed = changed || result !== value;
+        return result;
+      });
+      if (changed) {
+        await model.collection.replaceOne({ _id: document._id }, updated);
+        rewritten++;
+      }
+    }
+  }
+
+  const renamed = await renameUploads(oldId, newId);
+
+  console.log(`${oldId} -> hospital ${newId}: rewrote ${rewritten} document(s) holding encrypted values or uploads, renamed ${renamed} file(s)`);
+  if (!owner) {
+    console.log(`${oldId}: no hospital owner found; set ownerId on hospital ${newId} by hand`);
+  }
+};
+
+const run = async () => {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const legacyIds = await findLegacyIds();
+  if (!legacyIds.length) {
+    console.log('No hospitalIds from before hospitals were tenants');
+    return;
+  }
+
+  for (const oldId of legacyIds) {
+    if (dryRun) {
+      console.log(`${oldId}: ${JSON.stringify(await countDocuments(oldId))}`);
+      continue;
+    }
+    await migrateTenant(oldId);
+  }
+
+  if (dryRun) {
+    console.log(`Dry run: ${legacyIds.length} hospitalId(s) would get a hospital`);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('Tenant id migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,54 @@
+// Local stand-in for the payment provider: sends a signed webhook event to
+// the API so subscriptions can be exercised without a real provider.
+//
+// Usage: npm run payments:stub -- <event type> <hospitalId> [plan code]
+//   e.g. npm run payments:stub -- subscription.activated 64f0c0ffee0000000000000a standard
+require('dotenv').config();
+
+const crypto = require('crypto');
+const { signPayload } = require('../utils/payments');
+
+const WEBHOOK_URL = process.env.PAYMENT_WEBHOOK_URL ||
+  `http://localhost:${process.env.PORT || 5000}/api/subscription/webhook`;
+
+const send = async () => {
+  const [type, hospitalId, plan] = process.argv.slice(2);
+  if (!type || !hospitalId) {
+    throw new Error('Usage: paymentWebhookStub.js <event type> <hospitalId> [plan code]');
+  }
+
+  const now = new Date();
+  const periodEnd = new Date(now);
+  periodEnd.setMonth(periodEnd.getMonth() + 1);
+
+  const event = {
+    id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+    type,
+    createdAt: now.toISOString(),
+    data: {
+      hospitalId,
+      plan,
+      customerId: `cus_${hospitalId}`,
+      subscriptionId: `sub_${hospitalId}`,
+      currentPeriodStart: now.toISOString(),
+      currentPeriodEnd: periodEnd.toISOString()
+    }
+  };
+
+  const payload = JSON.stringify(event);
+  const response = await fetch(WEBHOOK_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Payment-Signature': signPayload(payload, process.env.PAYMENT_WEBHOOK_SECRET || '')
+    },
+    body: payload
+  });
+
+  console.log(`${event.id} ${type} -> ${response.status}`, await response.json());
+};
+
+send().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,101 @@
+// Rotate the keys encrypting patient records: start a new encryption key
+// version for each hospital, re-encrypt every patient with it (archived and
+// merged records too) and retire the old versions. Records stored before
+// field encryption existed are encrypted on the way, so this is also the
+// migration for existing data.
+//
+// To replace the master key, set ENCRYPTION_PREVIOUS_MASTER_KEY to the old one
+// and ENCRYPTION_MASTER_KEY to the new one; data keys are re-wrapped first.
+//
+// Usage: npm run keys:rotate [-- --hospital <hospitalId>]
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const { rotateEncryptionKey, retireEncryptionKeys, rewrapKeys } = require('../utils/fieldEncryption');
+
+const MAX_ATTEMPTS = 3;
+
+// Save the patient with every encrypted field marked changed. The save only
+// applies if nobody edited the record meanwhile; otherwise it is reloaded.
+const reencrypt = async (hospitalId, patientId) => {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const patient = await Patient.findOne({ _id: patientId, hospitalId }).withDeleted();
+    if (!patient) return true;
+
+    patient.markEncryptedModified();
+    // Search keys held phone digits before phone numbers were encrypted
+    patient.searchKeys = Patient.computeSearchKeys(patient);
+    patient.$where = { updatedAt: patient.updatedAt };
+
+    try {
+      await patient.save({ validateBeforeSave: false, timestamps: false });
+      return true;
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.DocumentNotFoundError)) throw error;
+    }
+  }
+  return false;
+};
+
+const rotateHospital = async (hospitalId, dataKey) => {
+  const cursor = Patient.find({ hospitalId }).withDeleted().select('_id').cursor();
+  let reencrypted = 0;
+  const skipped = [];
+
+  for await (const { _id } of cursor) {
+    if (await reencrypt(hospitalId, _id)) {
+      reencrypted++;
+    } else {
+      skipped.push(_id);
+    }
+  }
+
+  console.log(`Hospital ${hospitalId}: re-encrypted ${reencrypted} patient(s) with key v${dataKey.version}`);
+  if (skipped.length) {
+    console.log(`Hospital ${hospitalId}: skipped ${skipped.length} patient(s) edited during rotation, old keys kept: ${skipped.join(', ')}`);
+    return;
+  }
+  await retireEncryptionKeys(hospitalId, dataKey.version);
+};
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const hospitalIndex = args.indexOf('--hospital');
+  const onlyHospital = hospitalIndex >= 0 ? args[hospitalIndex + 1] : undefined;
+
+  if (hospitalIndex >= 0 && !onlyHospital) {
+    throw new Error('Usage: rotatePatientKeys.js [--hospital <hospitalId>]');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const rewrapped = await rewrapKeys();
+  if (rewrapped) {
+    console.log(`Re-wrapped ${rewrapped} data key(s) with the current master key`);
+  }
+
+  const hospitalIds = onlyHospital ? [onlyHospital] : await Patient.collection.distinct('hospitalId');
+  const rotations = [];
+  for (const hospitalId of hospitalIds) {
+    rotations.push({ hospitalId, dataKey: await rotateEncryptionKey(hospitalId) });
+  }
+
+  // New keys only activate once every running server has loaded them
+  const wait = Math.max(0, ...rotations.map(({ dataKey }) => dataKey.activatesAt - Date.now()));
+  if (wait) {
+    console.log(`Waiting ${Math.ceil(wait / 1000)}s for running servers to load the new keys`);
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+
+  for (const { hospitalId, dataKey } of rotations) {
+    await rotateHospital(hospitalId, dataKey);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('Patient key rotation failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -8,6 +8,7 @@ require('dotenv').config();
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const mfaRoutes = require('./routes/mfa');
 const patientsRoutes = require('./routes/patients');
 const doctorsRoutes = require('./routes/doctors');
 const staffRoutes = require('./routes/staff');
@@ -16,6 +17,15 @@ const prescriptionsRoutes = require('./routes/prescriptions');
 const reportsRoutes = require('./routes/reports');
 const remindersRoutes = require('./routes/reminders');
 const dashboardRoutes = require('./routes/dashboard');
+const invitationsRoutes = require('./routes/invitations');
+const rolesRoutes = require('./routes/roles');
+const serviceAccountsRoutes = require('./routes/serviceAccounts');
+const portalRoutes = require('./routes/portal');
+const emergencyAccessRoutes = require('./routes/emergencyAccess');
+const hospitalsRoutes = require('./routes/hospitals');
+const subscriptionsRoutes = require('./routes/subscriptions');
+const patientMergesRoutes = require('./routes/patientMerges');
+const Plan = require('./models/Plan');
 
 const app = express();
 
@@ -27,7 +37,7 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
 // Rate limiting
@@ -39,7 +49,13 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for verifying payment webhook signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Logging middleware
@@ -54,6 +70,7 @@ mongoose.connect(process.env.MONGODB_URI, {
 })
 .then(() => {
   console.log('✅ Connected to MongoDB');
+  return Plan.ensureDefaults();
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
@@ -71,8 +88,10 @@ app.get('/health', (req, res) => {
 });
 
 // API Routes
+app.use('/api/auth/mfa', mfaRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/patients', patientsRoutes);
+app.use('/api/patient-merges', patientMergesRoutes);
 app.use('/api/doctors', doctorsRoutes);
 app.use('/api/staff', staffRoutes);
 app.use('/api/appointments', appointmentsRoutes);
@@ -80,8 +99,22 @@ app.use('/api/prescriptions', prescriptionsRoutes);
 app.use('/api/reports', reportsRoutes);
 app.use('/api/reminders', remindersRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/invitations', invitationsRoutes);
+app.use('/api/roles', rolesRoutes);
+app.use('/api/service-accounts', serviceAccountsRoutes);
+app.use('/api/portal', portalRoutes);
+app.use('/api/emergency-access', emergencyAccessRoutes);
+app.use('/api/hospitals', hospitalsRoutes);
+app.use('/api/subscription', subscriptionsRoutes);
 
-// Static file serving for uploads
+// Static file serving for uploads. Signed consent forms are patient data and
+// only served by GET /api/patients/:id/consents/:consentId/document.
+app.use('/uploads/consents', (req, res) => {
+  res.status(404).json({
+    success: false,
+    message: 'API endpoint not found'
+  });
+});
 app.use('/uploads', express.static('uploads'));
 
 // 404 handler
@@ -0,0 +1,155 @@
+const User = require('../../models/User');
+
+const MINUTE = 60 * 1000;
+
+const newUser = (fields = {}) => new User({
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  password: 'secret123',
+  role: 'doctor',
+  hospitalId: 'HOSP001',
+  ...fields
+});
+
+// The stored user that registerFailedLogin updates. Only the filters and
+// update operators it uses are supported.
+let stored;
+
+const matches = (filter) => Object.entries(filter).every(([path, condition]) => {
+  if (path === '_id') return stored._id.equals(condition);
+  if (path === '$or') return condition.some(matches);
+
+  const value = stored.get(path);
+  if (condition === null) return value == null;
+  if (condition.$lt) return value != null && value < condition.$lt;
+  if (condition.$lte) return value != null && value <= condition.$lte;
+  return false;
+});
+
+const applyUpdate = (update) => {
+  Object.entries(update.$inc || {}).forEach(([path, amount]) => stored.set(path, (stored.get(path) || 0) + amount));
+  Object.entries(update.$set || {}).forEach(([path, value]) => stored.set(path, value));
+};
+
+const failLogins = async (count) => {
+  const results = [];
+  for (let i = 0; i < count; i++) {
+    results.push(await User.registerFailedLogin(stored._id));
+  }
+  return results.map(result => result.locked);
+};
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2025-01-01T09:00:00Z') });
+  stored = newUser();
+
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+    if (!matches(filter)) return { modifiedCount: 0 };
+    applyUpdate(update);
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(User, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (!matches(filter)) return null;
+    applyUpdate(update);
+    return stored;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe('login lockout', () => {
+  test('locks the account on the fifth failure without changing its status', async () => {
+    expect(await failLogins(4)).toEqual([false, false, false, false]);
+    expect(stored.isLocked()).toBe(false);
+
+    const { user, locked } = await User.registerFailedLogin(stored._id);
+    expect(locked).toBe(true);
+    expect(user.isLocked()).toBe(true);
+    expect(user.status).toBe('active');
+    expect(user.loginSecurity.lockedUntil).toEqual(new Date(Date.now() + 15 * MINUTE));
+  });
+
+  test('counts failures sent in parallel', async () => {
+    const results = await Promise.all(
+      Array.from({ length: 7 }, () => User.registerFailedLogin(stored._id))
+    );
+
+    expect(stored.loginSecurity.failedAttempts).toBe(7);
+    expect(stored.isLocked()).toBe(true);
+    expect(results.filter(result => result.locked)).toHaveLength(1);
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: stored._id },
+      expect.objectContaining({ $inc: { 'loginSecurity.failedAttempts': 1 } }),
+      { new: true }
+    );
+  });
+
+  test('forgets failures older than the lockout window', async () => {
+    await failLogins(4);
+
+    jest.advanceTimersByTime(16 * MINUTE);
+
+    expect(await failLogins(1)).toEqual([false]);
+    expect(stored.loginSecurity.failedAttempts).toBe(1);
+  });
+
+  test('releases the lock only once it has run out', async () => {
+    await failLogins(5);
+
+    jest.advanceTimersByTime(14 * MINUTE);
+    expect(stored.releaseExpiredLock()).toBe(false);
+
+    jest.advanceTimersByTime(MINUTE);
+    expect(stored.releaseExpiredLock()).toBe(true);
+    expect(stored.status).toBe('active');
+    expect(stored.loginSecurity.failedAttempts).toBe(0);
+    expect(stored.loginSecurity.lockedUntil).toBeUndefined();
+  });
+
+  test('keeps an account suspended by an administrator suspended through a lockout', async () => {
+    stored.status = 'suspended';
+
+    expect(await failLogins(5)).toContain(true);
+    expect(stored.status).toBe('suspended');
+
+    jest.advanceTimersByTime(15 * MINUTE);
+    expect(stored.releaseExpiredLock()).toBe(true);
+    expect(stored.status).toBe('suspended');
+  });
+
+  test('unlocking by hand does not reactivate a suspended account', async () => {
+    stored.status = 'suspended';
+    await failLogins(5);
+
+    stored.unlock();
+
+    expect(stored.isLocked()).toBe(false);
+    expect(stored.status).toBe('suspended');
+  });
+
+  test('delays attempts after two free failures, doubling each time', async () => {
+    await failLogins(2);
+    expect(stored.loginDelaySeconds()).toBe(0);
+
+    await failLogins(1);
+    expect(stored.loginDelaySeconds()).toBe(1);
+
+    await failLogins(1);
+    expect(stored.loginDelaySeconds()).toBe(2);
+
+    jest.advanceTimersByTime(2000);
+    expect(stored.loginDelaySeconds()).toBe(0);
+  });
+
+  test('clears failures on a successful login', async () => {
+    await failLogins(3);
+
+    stored.resetLoginAttempts();
+
+    expect(stored.loginSecurity.failedAttempts).toBe(0);
+    expect(stored.loginDelaySeconds()).toBe(0);
+  });
+});
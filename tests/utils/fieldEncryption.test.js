@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+
+// DataKey backed by an array, so keys can be created, loaded and retired
+// without a database. Only the queries utils/fieldEncryption makes are supported.
+jest.mock('../../models/DataKey', () => {
+  const documents = [];
+
+  const matches = (document, filter) => Object.entries(filter).every(([field, condition]) => {
+    if (condition && typeof condition === 'object' && '$lt' in condition) {
+      return document[field] < condition.$lt;
+    }
+    if (condition === null) {
+      return document[field] == null;
+    }
+    return document[field] === condition;
+  });
+
+  const find = (filter = {}) => {
+    const results = documents.filter(document => matches(document, filter));
+    return {
+      sort: () => Promise.resolve([...results].sort((a, b) => b.version - a.version)),
+      cursor: () => results
+    };
+  };
+
+  const create = async (fields) => {
+    const taken = documents.some(document => {
+      return document.hospitalId === fields.hospitalId &&
+        document.purpose === fields.purpose &&
+        document.version === fields.version;
+    });
+    if (taken) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+
+    const document = { activatesAt: new Date(), ...fields, save: async () => document };
+    documents.push(document);
+    return document;
+  };
+
+  const updateMany = async (filter, update) => {
+    documents.filter(document => matches(document, filter)).forEach(document => Object.assign(document, update));
+  };
+
+  return { documents, find, create, updateMany };
+});
+
+const HOSPITAL_ID = '64b7f0c2a1b2c3d4e5f60718';
+const OTHER_HOSPITAL_ID = '64b7f0c2a1b2c3d4e5f60719';
+const masterKeyHex = () => crypto.randomBytes(32).toString('hex');
+
+let fieldEncryption;
+let DataKey;
+
+beforeEach(() => {
+  jest.resetModules();
+  jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+  process.env.ENCRYPTION_MASTER_KEY = masterKeyHex();
+  delete process.env.ENCRYPTION_PREVIOUS_MASTER_KEY;
+  fieldEncryption = require('../../utils/fieldEncryption');
+  DataKey = require('../../models/DataKey');
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+// Let the key cache expire, as it would on a running server
+const expireKeyCache = () => jest.advanceTimersByTime(fieldEncryption.KEY_CACHE_MS);
+
+describe('field encryption', () => {
+  test('creates a hospital\'s first keys, wrapped by the master key', async () => {
+    const keys = await fieldEncryption.hospitalKeys(HOSPITAL_ID);
+
+    expect(keys.encryption.map(entry => entry.version)).toEqual([1]);
+    expect(keys.blindIndex).toHaveLength(32);
+    expect(DataKey.documents.map(document => document.purpose).sort()).toEqual(['blind-index', 'encryption']);
+    DataKey.documents.forEach(document => {
+      expect(document.wrappedKey).not.toContain(keys.blindIndex.toString('hex'));
+    });
+  });
+
+  test('round-trips a value', async () => {
+    const keys = await fieldEncryption.hospitalKeys(HOSPITAL_ID);
+    const encrypted = fieldEncryption.encryptValue(keys, '+1 555 0100', 'phone');
+
+    expect(fieldEncryption.isEncrypted(encrypted)).toBe(true);
+    expect(encrypted).toMatch(new RegExp(`^enc:${HOSPITAL_ID}:1:`));
+    expect(encrypted).not.toContain('+1 555 0100');
+    expect(fieldEncryption.decryptValue(encrypted, 'phone')).toBe('+1 555 0100');
+  });
+
+  test('uses a fresh IV for every value', async () => {
+    const keys = await fieldEncryption.hospitalKeys(HOSPITAL_ID);
+
+    expect(fieldEncryption.encryptValue(keys, 'same', 'email'))
+      .not.toBe(fieldEncryption.encryptValue(keys, 'same', 'email'));
+  });
+
+  test('rejects a value moved to another field', async () => {
+    const keys = await fieldEncryption.hospitalKeys(HOSPITAL_ID);
+    const encrypted = fieldEncryption.encryptValue(keys, 'Penicillin', 'legacyNotes.allergies');
+
+    expect(() => fieldEncryption.decryptValue(encrypted, 'legacyNotes.medicalHistory')).toThrow();
+  });
+
+  test('rejects a tampered value', async () => {
+    const keys = await fieldEncryption.hospitalKeys(HOSPITAL_ID);
+    const encrypted = fieldEncryption.encryptValue(keys, 'jane@example.com', 'email');
+    const lastDigit = encrypted.slice(-1) === '0' ? '1' : '0';
+
+    expect(() => fieldEncryption.decryptValue(encrypted.slice(0, -1) + lastDigit, 'email')).toThrow();
+  });
+
+  test('does not treat plaintext as encrypted', () => {
+    expect(fieldEncryption.isEncrypted('enc: not really')).toBe(false);
+    expect(fieldEncryption.isEncrypted('jane@example.com')).toBe(false);
+    expect(fieldEncryption.isEncrypted(undefined)).toBe(false);
+  });
+
+  test('computes blind indexes per hospital', async () => {
+    const keys = await fieldEncryption.hospitalKeys(HOSPITAL_ID);
+    const otherKeys = await fieldEncryption.hospitalKeys(OTHER_HOSPITAL_ID);
+
+    const index = fieldEncryption.blindIndex(keys, 'email', 'jane@example.com');
+    expect(fieldEncryption.blindIndex(keys, 'email', 'jane@example.com')).toBe(index);
+    expect(fieldEncryption.blindIndex(keys, 'phone', 'jane@example.com')).not.toBe(index);
+    expect(fieldEncryption.blindIndex(otherKeys, 'email', 'jane@example.com')).not.toBe(index);
+  });
+
+  test('decrypts once a new process has loaded the hospital\'s keys', async () => {
+    const keys = await fieldEncryption.hospitalKeys(HOSPITAL_ID);
+    const encrypted = fieldEncryption.encryptValue(keys, '12 High Street', 'address');
+
+    // A new process shares the database but not the key cache
+    jest.resetModules();
+    const freshProcess = require('../../utils/fieldEncryption');
+    require('../../models/DataKey').documents.push(...DataKey.documents);
+
+    expect(() => freshProcess.decryptValue(encrypted, 'address')).toThrow(/not loaded/);
+    await freshProcess.loadHospitalKeys(HOSPITAL_ID);
+    expect(freshProcess.decryptValue(encrypted, 'address')).toBe('12 High Street');
+  });
+
+  test('fails loudly without a master key', async () => {
+    delete process.env.ENCRYPTION_MASTER_KEY;
+
+    await expect(fieldEncryption.hospitalKeys(HOSPITAL_ID)).rejects.toThrow(/ENCRYPTION_MASTER_KEY is not set/);
+  });
+});
+
+describe('key rotation', () => {
+  test('only uses a rotated key once every server can have loaded it', async () => {
+    const keys = await fieldEncryption.hospitalKeys(HOSPITAL_ID);
+    const beforeRotation = fieldEncryption.encryptValue(keys, 'before', 'email');
+
+    const dataKey = await fieldEncryption.rotateEncryptionKey(HOSPITAL_ID);
+    expect(dataKey.version).toBe(2);
+
+    const pending = await fieldEncryption.loadHospitalKeys(HOSPITAL_ID);
+    expect(fieldEncryption.encryptValue(pending, 'during', 'email')).toMatch(/^enc:[0-9a-f]+:1:/);
+
+    expireKeyCache();
+    const rotated = await fieldEncryption.loadHospitalKeys(HOSPITAL_ID);
+    const afterRotation = fieldEncryption.encryptValue(rotated, 'after', 'email');
+
+    expect(afterRotation).toMatch(/^enc:[0-9a-f]+:2:/);
+    expect(fieldEncryption.decryptValue(afterRotation, 'email')).toBe('after');
+    expect(fieldEncryption.decryptValue(beforeRotation, 'email')).toBe('before');
+  });
+
+  test('keeps the blind index key, so lookups keep matching', async () => {
+    const keys = await fieldEncryption.hospitalKeys(HOSPITAL_ID);
+    const index = fieldEncryption.blindIndex(keys, 'phone', '5550100');
+
+    await fieldEncryption.rotateEncryptionKey(HOSPITAL_ID);
+    expireKeyCache();
+    const rotated = await fieldEncryption.loadHospitalKeys(HOSPITAL_ID);
+
+    expect(fieldEncryption.blindIndex(rotated, 'phone', '5550100')).toBe(index);
+  });
+
+  test('refuses to start the same version twice', async () => {
+    await fieldEncryption.hospitalKeys(HOSPITAL_ID);
+    await DataKey.create({ hospitalId: HOSPITAL_ID, purpose: 'encryption', version: 2, wrappedKey: 'taken' });
+
+    await expect(fieldEncryption.rotateEncryptionKey(HOSPITAL_ID)).rejects.toThrow(/already being rotated/);
+  });
+
+  test('retires older versions only', async () => {
+    await fieldEncryption.hospitalKeys(HOSPITAL_ID);
+    await fieldEncryption.rotateEncryptionKey(HOSPITAL_ID);
+
+    await fieldEncryption.retireEncryptionKeys(HOSPITAL_ID, 2);
+
+    const retired = DataKey.documents
+      .filter(document => document.purpose === 'encryption')
+      .map(document => [document.version, Boolean(document.retiredAt)]);
+    expect(retired.sort()).toEqual([[1, true], [2, false]]);
+  });
+
+  test('re-wraps data keys when the master key is replaced', async () => {
+    const keys = await fieldEncryption.hospitalKeys(HOSPITAL_ID);
+    const encrypted = fieldEncryption.encryptValue(keys, 'jane@example.com', 'email');
+
+    process.env.ENCRYPTION_PREVIOUS_MASTER_KEY = process.env.ENCRYPTION_MASTER_KEY;
+    process.env.ENCRYPTION_MASTER_KEY = masterKeyHex();
+    expect(await fieldEncryption.rewrapKeys()).toBe(2);
+    expect(await fieldEncryption.rewrapKeys()).toBe(0);
+
+    // Once re-wrapped, the old master key is no longer needed
+    delete process.env.ENCRYPTION_PREVIOUS_MASTER_KEY;
+    expireKeyCache();
+    await fieldEncryption.loadHospitalKeys(HOSPITAL_ID);
+    expect(fieldEncryption.decryptValue(encrypted, 'email')).toBe('jane@example.com');
+  });
+
+  test('cannot load keys wrapped by an unknown master key', async () => {
+    await fieldEncryption.hospitalKeys(HOSPITAL_ID);
+
+    process.env.ENCRYPTION_MASTER_KEY = masterKeyHex();
+    expireKeyCache();
+    await expect(fieldEncryption.loadHospitalKeys(HOSPITAL_ID)).rejects.toThrow(/Cannot unwrap/);
+  });
+});
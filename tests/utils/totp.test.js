@@ -0,0 +1,69 @@
+const {
+  generateSecret,
+  generateCode,
+  currentStep,
+  verifyCode,
+  buildOtpauthUri
+} = require('../../utils/totp');
+
+// The RFC 6238 SHA-1 test secret, "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('totp', () => {
+  test.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ])('matches the RFC 6238 test vector at %i seconds', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, currentStep(seconds * 1000))).toBe(code);
+  });
+
+  test('generates 160-bit base32 secrets', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toBe(secret);
+  });
+
+  test('accepts the current code and returns its time step', () => {
+    jest.useFakeTimers({ now: 1111111109 * 1000 });
+
+    expect(verifyCode(RFC_SECRET, '081804')).toBe(currentStep());
+  });
+
+  test('allows one step of clock drift either way', () => {
+    jest.useFakeTimers({ now: 1111111109 * 1000 });
+    const step = currentStep();
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2))).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2))).toBeNull();
+  });
+
+  test('rejects malformed codes and missing secrets', () => {
+    jest.useFakeTimers({ now: 1111111109 * 1000 });
+
+    expect(verifyCode(RFC_SECRET, '81804')).toBeNull();
+    expect(verifyCode(RFC_SECRET, '0818045')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyCode(undefined, '081804')).toBeNull();
+  });
+
+  test('builds an otpauth URI for authenticator apps', () => {
+    const uri = new URL(buildOtpauthUri(RFC_SECRET, 'jane@example.com'));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/MediSync:jane@example.com');
+    expect(uri.searchParams.get('issuer')).toBe('MediSync');
+    expect(uri.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(uri.searchParams.get('digits')).toBe('6');
+    expect(uri.searchParams.get('period')).toBe('30');
+  });
+});
@@ -0,0 +1,56 @@
+const Doctor = require('../models/Doctor');
+const Staff = require('../models/Staff');
+
+// Roles on a patient's care team, with where each is stored on Patient.careTeam
+const CARE_TEAM_ROLES = {
+  primaryPhysician: { path: 'careTeam.primaryPhysician', profile: 'doctorId' },
+  consultant: { path: 'careTeam.consultants', profile: 'doctorId' },
+  nurse: { path: 'careTeam.nurses', profile: 'staffId' }
+};
+
+// The caller's doctor and staff profiles, looked up once per request
+const findClinician = async (req) => {
+  if (!req.clinician) {
+    const [doctor, staff] = await Promise.all([
+      Doctor.findOne({ userId: req.user._id, hospitalId: req.hospitalId }).select('_id'),
+      Staff.findOne({ userId: req.user._id, hospitalId: req.hospitalId }).select('_id')
+    ]);
+    req.clinician = {
+      doctorId: doctor ? doctor._id : null,
+      staffId: staff ? staff._id : null
+    };
+  }
+  return req.clinician;
+};
+
+// Query conditions matching the clinician's patients, optionally only in
+// some roles; null when the clinician cannot hold any of them
+const careTeamFilter = (clinician, roles = Object.keys(CARE_TEAM_ROLES)) => {
+  const conditions = roles
+    .map(role => CARE_TEAM_ROLES[role])
+    .filter(({ profile }) => clinician[profile])
+    .map(({ path, profile }) => ({ [path]: clinician[profile] }));
+  return conditions.length ? { $or: conditions } : null;
+};
+
+// The clinician's roles on the patient's care team, e.g. ['consultant']
+const careTeamRoles = (patient, clinician) => {
+  const team = patient.careTeam || {};
+  const same = (a, b) => Boolean(a && b) && String(a) === String(b);
+  const roles = [];
+
+  if (same(team.primaryPhysician, clinician.doctorId)) roles.push('primaryPhysician');
+  if ((team.consultants || []).some(id => same(id, clinician.doctorId))) roles.push('consultant');
+  if ((team.nurses || []).some(id => same(id, clinician.staffId))) roles.push('nurse');
+  return roles;
+};
+
+const isOnCareTeam = (patient, clinician) => careTeamRoles(patient, clinician).length > 0;
+
+module.exports = {
+  CARE_TEAM_ROLES,
+  findClinician,
+  careTeamFilter,
+  careTeamRoles,
+  isOnCareTeam
+};
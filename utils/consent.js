@@ -0,0 +1,74 @@
+// Patient consent. Every grant is kept as a new version of its type; the
+// highest version is the patient's current decision for that type.
+
+const CONSENT_TYPES = {
+  treatment: 'treatment',
+  'data-sharing': 'data sharing',
+  telehealth: 'telehealth',
+  marketing: 'marketing contact'
+};
+
+// Consent each kind of outbound patient message needs. Marketing consent is
+// recorded but nothing sends marketing messages; whatever does should be
+// listed here.
+const MESSAGE_CONSENT = {
+  'portal-invitation': 'data-sharing'
+};
+
+const latestConsent = (patient, type) => {
+  return (patient.consents || [])
+    .filter(consent => consent.type === type)
+    .reduce((latest, consent) => (!latest || consent.version > latest.version ? consent : latest), null);
+};
+
+// 'active', 'revoked' or 'expired'
+const consentStatus = (consent, at = new Date()) => {
+  if (consent.revokedAt && consent.revokedAt <= at) return 'revoked';
+  if (consent.expiresAt && consent.expiresAt <= at) return 'expired';
+  return 'active';
+};
+
+const hasActiveConsent = (patient, type, at = new Date()) => {
+  const consent = latestConsent(patient, type);
+  return Boolean(consent) && consentStatus(consent, at) === 'active';
+};
+
+// Current state of every consent type, 'none' where nothing was ever recorded
+const currentConsentState = (patient, at = new Date()) => {
+  return Object.keys(CONSENT_TYPES).reduce((state, type) => {
+    const consent = latestConsent(patient, type);
+    state[type] = consent
+      ? {
+        status: consentStatus(consent, at),
+        version: consent.version,
+        consentId: consent._id,
+        grantedAt: consent.grantedAt,
+        expiresAt: consent.expiresAt,
+        revokedAt: consent.revokedAt,
+        hasDocument: Boolean(consent.document && consent.document.path)
+      }
+      : { status: 'none' };
+    return state;
+  }, {});
+};
+
+const missingConsentMessage = (type) => {
+  return `The patient has no active ${CONSENT_TYPES[type]} consent`;
+};
+
+// Null when the patient may be sent a message for `purpose`, otherwise why not
+const messagingBlockedReason = (patient, purpose) => {
+  const type = MESSAGE_CONSENT[purpose];
+  return hasActiveConsent(patient, type) ? null : missingConsentMessage(type);
+};
+
+module.exports = {
+  CONSENT_TYPES,
+  MESSAGE_CONSENT,
+  latestConsent,
+  consentStatus,
+  hasActiveConsent,
+  currentConsentState,
+  missingConsentMessage,
+  messagingBlockedReason
+};
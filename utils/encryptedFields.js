@@ -0,0 +1,261 @@
+const {
+  loadHospitalKeys,
+  loadAllKeys,
+  hospitalKeys,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  blindIndex
+} = require('./fieldEncryption');
+
+// Mongoose plugin encrypting string fields at rest with utils/fieldEncryption.
+// Documents hold plaintext: values are decrypted as documents are loaded and
+// only encrypted for the write itself. Lean queries and aggregations see the
+// stored ciphertext.
+// Options:
+//   fields        string paths, e.g. 'phone' or 'legacyNotes.allergies'
+//   arrays        { path: [string fields of its entries] } for subdocument arrays
+//   blindIndexes  { path: normalize } for fields looked up by exact value.
+//                 Conditions on them are rewritten to blindIndex.<path>; any
+//                 other query on an encrypted field is rejected.
+
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'countDocuments',
+  'updateOne',
+  'updateMany',
+  'deleteOne',
+  'deleteMany'
+];
+
+const HYDRATING_OPS = ['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete'];
+const LOGICAL_OPERATORS = ['$and', '$or', '$nor'];
+
+const getIn = (object, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+};
+
+const setIn = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.length ? getIn(object, keys.join('.')) : object;
+  if (parent) parent[last] = value;
+};
+
+const filterHospitalId = (filter) => {
+  const { hospitalId } = filter;
+  if (typeof hospitalId === 'string') return hospitalId;
+  if (hospitalId && hospitalId._bsontype === 'ObjectId') return hospitalId.toHexString();
+  return null;
+};
+
+const encryptedFields = (schema, { fields = [], arrays = {}, blindIndexes = {} }) => {
+  const indexedPaths = Object.keys(blindIndexes);
+  const entryPaths = Object.entries(arrays).flatMap(([path, entryFields]) => entryFields.map(field => `${path}.${field}`));
+
+  // Nested paths rather than a subdocument, so that setting one index leaves the others alone
+  if (indexedPaths.length) {
+    schema.add({
+      blindIndex: indexedPaths.reduce((definition, path) => {
+        return { ...definition, [path]: { type: String, select: false } };
+      }, {})
+    });
+  }
+
+  indexedPaths.forEach(path => schema.index({ hospitalId: 1, [`blindIndex.${path}`]: 1 }));
+
+  const toJSON = schema.get('toJSON') || {};
+  schema.set('toJSON', {
+    ...toJSON,
+    transform(doc, ret, options) {
+      delete ret.blindIndex;
+      return toJSON.transform ? toJSON.transform(doc, ret, options) : ret;
+    }
+  });
+
+  const indexValue = (keys, path, value) => {
+    return blindIndex(keys, path, blindIndexes[path](value));
+  };
+
+  // Documents arrive raw here, so decrypting does not mark anything modified
+  schema.pre('init', function(raw) {
+    fields.forEach(path => {
+      const value = getIn(raw, path);
+      if (isEncrypted(value)) setIn(raw, path, decryptValue(value, path));
+    });
+
+    Object.entries(arrays).forEach(([path, entryFields]) => {
+      (Array.isArray(raw[path]) ? raw[path] : []).forEach(entry => {
+        entryFields.forEach(field => {
+          if (isEncrypted(entry[field])) entry[field] = decryptValue(entry[field], `${path}.${field}`);
+        });
+      });
+    });
+  });
+
+  // Runs after validation, which sees the plaintext. Values are swapped for
+  // ciphertext without setters or change tracking, and swapped back after the
+  // write whether or not it succeeded.
+  schema.pre('save', async function() {
+    const changed = (path) => this.isNew || this.isModified(path);
+    const changedFields = fields.filter(changed);
+    const changedArrays = Object.keys(arrays).filter(changed);
+    const changedIndexes = indexedPaths.filter(changed);
+    if (!changedFields.length && !changedArrays.length && !changedIndexes.length) {
+      return;
+    }
+
+    const keys = await hospitalKeys(this.hospitalId);
+    const plaintext = [];
+    const encryptIn = (doc, path, storedAt) => {
+      const value = doc.$__getValue(path);
+      if (typeof value !== 'string' || !value || isEncrypted(value)) return;
+      plaintext.push({ doc, path, value });
+      doc.$__setValue(path, encryptValue(keys, value, storedAt));
+    };
+
+    changedIndexes.forEach(path => {
+      const value = this.get(path);
+      this.set(`blindIndex.${path}`, value ? indexValue(keys, path, value) : null);
+    });
+    changedFields.forEach(path => encryptIn(this, path, path));
+    changedArrays.forEach(path => {
+      this.get(path).forEach(entry => {
+        arrays[path].forEach(field => encryptIn(entry, field, `${path}.${field}`));
+      });
+    });
+
+    this.$locals.encryptedPlaintext = plaintext;
+  });
+
+  const restorePlaintext = (doc) => {
+    (doc.$locals.encryptedPlaintext || []).forEach(({ doc: target, path, value }) => target.$__setValue(path, value));
+    delete doc.$locals.encryptedPlaintext;
+  };
+
+  schema.post('save', function() {
+    restorePlaintext(this);
+  });
+
+  schema.post('save', function(error, doc, next) {
+    restorePlaintext(doc);
+    next(error);
+  });
+
+  // Paths named by a filter, including inside $and/$or/$nor
+  const filterPaths = (filter) => Object.keys(filter).flatMap(key => {
+    return LOGICAL_OPERATORS.includes(key) ? filter[key].flatMap(filterPaths) : [key];
+  });
+
+  const indexCondition = (keys, path, condition) => {
+    const hash = (value) => (value == null ? value : indexValue(keys, path, value));
+    if (condition instanceof RegExp) {
+      throw new Error(`${path} is encrypted and only supports exact-match queries`);
+    }
+    if (condition === null || typeof condition !== 'object') {
+      return hash(condition);
+    }
+
+    return Object.keys(condition).reduce((result, operator) => {
+      if (operator === '$eq' || operator === '$ne') {
+        result[operator] = hash(condition[operator]);
+      } else if (operator === '$in' || operator === '$nin') {
+        result[operator] = condition[operator].map(hash);
+      } else if (operator === '$exists') {
+        result[operator] = condition[operator];
+      } else {
+        throw new Error(`${path} is encrypted and only supports exact-match queries`);
+      }
+      return result;
+    }, {});
+  };
+
+  const rewriteFilter = (keys, filter) => Object.keys(filter).reduce((result, key) => {
+    if (LOGICAL_OPERATORS.includes(key)) {
+      result[key] = filter[key].map(clause => rewriteFilter(keys, clause));
+    } else if (blindIndexes[key]) {
+      result[`blindIndex.${key}`] = indexCondition(keys, key, filter[key]);
+    } else {
+      result[key] = filter[key];
+    }
+    return result;
+  }, {});
+
+  // Plain values and $set/$setOnInsert of encrypted fields are encrypted with
+  // their schema setters applied first; subdocument arrays must be saved
+  const rewriteUpdate = (keys, update) => {
+    [update, update.$set, update.$setOnInsert].filter(Boolean).forEach(values => {
+      fields.filter(path => values[path] !== undefined).forEach(path => {
+        const value = schema.path(path).applySetters(values[path], null);
+        if (blindIndexes[path]) {
+          values[`blindIndex.${path}`] = value ? indexValue(keys, path, value) : null;
+        }
+        values[path] = typeof value === 'string' && value ? encryptValue(keys, value, path) : value;
+      });
+    });
+
+    if (update.$unset) {
+      indexedPaths.filter(path => update.$unset[path] !== undefined).forEach(path => {
+        update.$unset[`blindIndex.${path}`] = 1;
+      });
+    }
+  };
+
+  const updatePaths = (update) => {
+    if (!update || Array.isArray(update)) return [];
+    return Object.keys(update).flatMap(key => {
+      return key.startsWith('$') && update[key] && typeof update[key] === 'object' ? Object.keys(update[key]) : [key];
+    });
+  };
+
+  schema.pre(QUERY_HOOKS, async function() {
+    const filter = this.getFilter();
+    const update = this.getUpdate();
+    const hospitalId = filterHospitalId(filter);
+
+    const rejected = filterPaths(filter).find(path => fields.includes(path) && !blindIndexes[path]) ||
+      filterPaths(filter).find(path => entryPaths.includes(path));
+    if (rejected) {
+      throw new Error(`${rejected} is encrypted and cannot be queried`);
+    }
+    // Whole arrays, their entries and objects holding encrypted fields
+    const saveOnly = updatePaths(update).find(path => {
+      return Object.keys(arrays).some(arrayPath => path === arrayPath || path.startsWith(`${arrayPath}.`)) ||
+        fields.some(field => field.startsWith(`${path}.`));
+    });
+    if (saveOnly) {
+      throw new Error(`${saveOnly} holds encrypted data; change it by saving the document`);
+    }
+
+    const filtersIndexed = filterPaths(filter).some(path => blindIndexes[path]);
+    const updatesEncrypted = updatePaths(update).some(path => fields.includes(path));
+    if (filtersIndexed || updatesEncrypted) {
+      if (!hospitalId) {
+        throw new Error('Queries on encrypted fields must be limited to one hospitalId');
+      }
+      const keys = await hospitalKeys(hospitalId);
+      if (filtersIndexed) this.setQuery(rewriteFilter(keys, filter));
+      if (updatesEncrypted) {
+        rewriteUpdate(keys, update);
+        this.setUpdate(update);
+      }
+    }
+
+    // Loaded documents are decrypted synchronously, so their keys are cached first
+    if (HYDRATING_OPS.includes(this.op) && !this.mongooseOptions().lean) {
+      if (hospitalId) await loadHospitalKeys(hospitalId);
+      else await loadAllKeys();
+    }
+  });
+
+  // Mark every encrypted field changed, so the next save encrypts it again
+  // with the current key
+  schema.methods.markEncryptedModified = function() {
+    [...fields, ...Object.keys(arrays)].forEach(path => this.markModified(path));
+  };
+};
+
+module.exports = encryptedFields;
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const DataKey = require('../models/DataKey');
+
+// Keys and ciphers for field-level encryption; utils/encryptedFields applies
+// them to models.
+//
+// Each hospital has its own data keys, stored wrapped by the master key from
+// ENCRYPTION_MASTER_KEY, so a database dump alone reveals nothing. Values are
+// encrypted with AES-256-GCM and stored as
+//   enc:<hospitalId>:<key version>:<iv>:<auth tag>:<ciphertext>   (hex)
+// Fields looked up by exact value also keep a blind index: an HMAC of the
+// normalized value under the hospital's separate blind-index key.
+//
+// Unwrapped keys are cached per process for KEY_CACHE_MS. A rotated key only
+// becomes active after that long, so every server can read what others write.
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_CACHE_MS = 60 * 1000;
+const ENCRYPTED_VALUE = /^enc:[0-9a-f]{24}:\d+:[0-9a-f]{24}:[0-9a-f]{32}:[0-9a-f]*$/;
+
+// hospitalId -> { hospitalId, loadedAt, encryption: [{ version, key, activatesAt }] newest first, blindIndex }
+const keyring = new Map();
+let allLoadedAt = 0;
+
+const masterKey = (name) => {
+  const value = process.env[name];
+  if (!value) return null;
+  if (!/^[0-9a-f]{64}$/i.test(value)) {
+    throw new Error(`${name} must be 32 bytes written as 64 hex characters`);
+  }
+  return Buffer.from(value, 'hex');
+};
+
+const currentMasterKey = () => {
+  const key = masterKey('ENCRYPTION_MASTER_KEY');
+  if (!key) {
+    throw new Error('ENCRYPTION_MASTER_KEY is not set');
+  }
+  return key;
+};
+
+// iv:tag:ciphertext in hex; the additional data binds the value to where it is stored
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString('hex')).join(':');
+};
+
+const open = (key, sealed, aad) => {
+  const [iv, tag, data] = sealed.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+};
+
+// The hospital id is left out of the additional data so that tenant archives,
+// which remap it, stay readable
+const wrapKey = (key, purpose, version) => seal(currentMasterKey(), key, `${purpose}:${version}`);
+
+// Unwrap with the current master key, falling back to ENCRYPTION_PREVIOUS_MASTER_KEY
+// while a master key rotation is under way
+const unwrapKey = (dataKey) => {
+  const aad = `${dataKey.purpose}:${dataKey.version}`;
+  const previous = masterKey('ENCRYPTION_PREVIOUS_MASTER_KEY');
+
+  for (const [master, rewrap] of [[currentMasterKey(), false], [previous, true]]) {
+    if (!master) continue;
+    try {
+      return { key: open(master, dataKey.wrappedKey, aad), rewrap };
+    } catch (error) {
+      // Try the next master key
+    }
+  }
+  throw new Error(`Cannot unwrap ${dataKey.purpose} key v${dataKey.version} of hospital ${dataKey.hospitalId}; check ENCRYPTION_MASTER_KEY`);
+};
+
+const loadKeys = async (filter) => {
+  const dataKeys = await DataKey.find(filter).sort({ version: -1 });
+  const loaded = new Map();
+
+  dataKeys.forEach(dataKey => {
+    if (!loaded.has(dataKey.hospitalId)) {
+      loaded.set(dataKey.hospitalId, { hospitalId: dataKey.hospitalId, loadedAt: Date.now(), encryption: [], blindIndex: null });
+    }
+    const entry = loaded.get(dataKey.hospitalId);
+    const { key } = unwrapKey(dataKey);
+
+    if (dataKey.purpose === 'blind-index') {
+      entry.blindIndex = key;
+    } else {
+      entry.encryption.push({ version: dataKey.version, key, activatesAt: dataKey.activatesAt });
+    }
+  });
+
+  loaded.forEach((entry, hospitalId) => keyring.set(hospitalId, entry));
+};
+
+// Keys of one hospital, from the cache while it is fresh; null when it has none yet
+const loadHospitalKeys = async (hospitalId) => {
+  const cached = keyring.get(hospitalId);
+  if (!cached || Date.now() - cached.loadedAt >= KEY_CACHE_MS) {
+    await loadKeys({ hospitalId });
+  }
+  return keyring.get(hospitalId) || null;
+};
+
+// Keys of every hospital, for queries not limited to one (e.g. populate)
+const loadAllKeys = async () => {
+  if (Date.now() - allLoadedAt < KEY_CACHE_MS) return;
+  await loadKeys({});
+  allLoadedAt = Date.now();
+};
+
+const createKey = async (hospitalId, purpose, version, activatesAt = new Date()) => {
+  try {
+    return await DataKey.create({
+      hospitalId,
+      purpose,
+      version,
+      wrappedKey: wrapKey(crypto.randomBytes(32), purpose, version),
+      activatesAt
+    });
+  } catch (error) {
+    // Another server created it first
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Keys of one hospital, creating its first keys when it has none
+const hospitalKeys = async (hospitalId) => {
+  const keys = await loadHospitalKeys(hospitalId);
+  if (keys && keys.encryption.length && keys.blindIndex) {
+    return keys;
+  }
+
+  if (!keys || !keys.encryption.length) await createKey(hospitalId, 'encryption', 1);
+  if (!keys || !keys.blindIndex) await createKey(hospitalId, 'blind-index', 1);
+  keyring.delete(hospitalId);
+  return loadHospitalKeys(hospitalId);
+};
+
+const isEncrypted = (value) => typeof value === 'string' && ENCRYPTED_VALUE.test(value);
+
+// Encrypt with the newest active key; `path` is the field the value is stored in
+const encryptValue = (keys, value, path) => {
+  const now = new Date();
+  const { version, key } = keys.encryption.find(entry => entry.activatesAt <= now);
+  return `enc:${keys.hospitalId}:${version}:${seal(key, String(value), path)}`;
+};
+
+// Synchronous, so the key must already be cached (see loadHospitalKeys)
+const decryptValue = (value, path) => {
+  const [, hospitalId, version, sealed] = value.match(/^enc:([0-9a-f]+):(\d+):(.*)$/);
+  const keys = keyring.get(hospitalId);
+  const entry = keys && keys.encryption.find(candidate => candidate.version === Number(version));
+  if (!entry) {
+    throw new Error(`Encryption key v${version} of hospital ${hospitalId} is not loaded`);
+  }
+  return open(entry.key, sealed, path).toString('utf8');
+};
+
+const blindIndex = (keys, path, normalized) => {
+  return crypto.createHmac('sha256', keys.blindIndex).update(`${path}:${normalized}`).digest('hex');
+};
+
+// Start a new encryption key version; it activates once every server has
+// had time to load it. Returns the new key.
+const rotateEncryptionKey = async (hospitalId) => {
+  const keys = await hospitalKeys(hospitalId);
+  const version = keys.encryption[0].version + 1;
+  const dataKey = await createKey(hospitalId, 'encryption', version, new Date(Date.now() + KEY_CACHE_MS));
+  if (!dataKey) {
+    throw new Error(`Key v${version} of hospital ${hospitalId} is already being rotated`);
+  }
+  keyring.delete(hospitalId);
+  return dataKey;
+};
+
+const retireEncryptionKeys = (hospitalId, beforeVersion) => {
+  return DataKey.updateMany(
+    { hospitalId, purpose: 'encryption', version: { $lt: beforeVersion }, retiredAt: null },
+    { retiredAt: new Date() }
+  );
+};
+
+// Re-wrap keys still wrapped by ENCRYPTION_PREVIOUS_MASTER_KEY with the
+// current master key. Returns how many were re-wrapped.
+const rewrapKeys = async () => {
+  let rewrapped = 0;
+
+  for await (const dataKey of DataKey.find().cursor()) {
+    const { key, rewrap } = unwrapKey(dataKey);
+    if (rewrap) {
+      dataKey.wrappedKey = wrapKey(key, dataKey.purpose, dataKey.version);
+      await dataKey.save();
+      rewrapped++;
+    }
+  }
+
+  return rewrapped;
+};
+
+module.exports = {
+  KEY_CACHE_MS,
+  loadHospitalKeys,
+  loadAllKeys,
+  hospitalKeys,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  blindIndex,
+  rotateEncryptionKey,
+  retireEncryptionKeys,
+  rewrapKeys
+};
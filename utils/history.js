@@ -0,0 +1,252 @@
+const RecordHistory = require('../models/RecordHistory');
+const { currentActor } = require('./requestContext');
+const { escapeRegex } = require('./textMatching');
+
+// Mongoose plugin recording every write to a record as a versioned diff in
+// RecordHistory, with who made it (utils/requestContext) and when:
+//   save                               diff against the stored record
+//   findOneAndUpdate, updateOne/Many   diff of each record before and after
+//   deleteOne/Many                     the record's history is dropped with
+//                                      it, leaving a 'purge' entry
+// Fields are compared one by one, descending into nested objects but not
+// into arrays, so a changed allergy records the whole allergies list.
+// For models using softDelete; apply it before encryptedFields, so that saves
+// are compared while the document still holds plaintext.
+
+const IGNORED_PATHS = ['_id', '__v', 'createdAt', 'updatedAt', 'searchKeys', 'blindIndex'];
+// Left out of past views, where they would describe the present
+const CURRENT_ONLY_PATHS = ['__v', 'updatedAt', 'searchKeys', 'blindIndex'];
+const UPDATE_HOOKS = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+const DELETE_HOOKS = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+const MAX_ATTEMPTS = 3;
+
+// Records as queries saw them before their write, until the post hook runs
+const pendingQueries = new WeakMap();
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Plain JSON of a record (ObjectIds and dates as strings)
+const snapshot = (record) => {
+  return JSON.parse(JSON.stringify(record.toObject({ depopulate: true, virtuals: false, transform: false })));
+};
+
+// JSON with sorted keys, so equal values compare equal whatever their key order
+const canonical = (value) => JSON.stringify(value, (key, nested) => {
+  if (!isPlainObject(nested)) return nested;
+  return Object.keys(nested).sort().reduce((sorted, name) => {
+    sorted[name] = nested[name];
+    return sorted;
+  }, {});
+});
+
+// [{ path, from, to }] between two snapshots; missing values are null
+const diffSnapshots = (before = {}, after = {}, prefix = '') => {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  return [...keys]
+    .filter(key => prefix || !IGNORED_PATHS.includes(key))
+    .flatMap(key => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const from = before[key];
+      const to = after[key];
+
+      if (isPlainObject(from) && isPlainObject(to)) {
+        return diffSnapshots(from, to, path);
+      }
+      if (canonical(from) === canonical(to)) {
+        return [];
+      }
+      return [{ path, from: from === undefined ? null : from, to: to === undefined ? null : to }];
+    });
+};
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((current, key) => {
+    if (!isPlainObject(current[key])) current[key] = {};
+    return current[key];
+  }, object);
+
+  if (value === null) {
+    delete parent[last];
+  } else {
+    parent[last] = value;
+  }
+};
+
+// Store the next version of a record; versions are numbered per record, so
+// a concurrent write taking the same number is retried
+const recordVersion = async ({ modelName, hospitalId, recordId, action, changes = [], session }) => {
+  const { userId, apiKeyId } = currentActor();
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await RecordHistory.findOne({ hospitalId, modelName, recordId })
+      .sort({ version: -1 })
+      .select('version')
+      .session(session);
+
+    try {
+      const [entry] = await RecordHistory.create([{
+        hospitalId,
+        modelName,
+        recordId,
+        version: latest ? latest.version + 1 : 1,
+        action,
+        paths: changes.map(change => change.path),
+        diff: changes.length ? JSON.stringify(changes) : undefined,
+        changedBy: userId,
+        apiKeyId
+      }], { session });
+      return entry;
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_ATTEMPTS) throw error;
+    }
+  }
+};
+
+const history = (schema) => {
+  schema.pre('save', async function() {
+    if (!this.isNew && !this.modifiedPaths().length) {
+      return;
+    }
+
+    const stored = this.isNew ? null : await this.constructor.findOne({ _id: this._id, hospitalId: this.hospitalId })
+      .withDeleted()
+      .session(this.$session());
+
+    const selected = (snapshotOf) => Object.keys(snapshotOf)
+      .filter(key => this.isSelected(key))
+      .reduce((result, key) => ({ ...result, [key]: snapshotOf[key] }), {});
+    const changes = diffSnapshots(stored ? selected(snapshot(stored)) : {}, selected(snapshot(this)));
+
+    this.$locals.historyChanges = changes.length ? { action: stored ? 'update' : 'create', changes } : null;
+  });
+
+  schema.post('save', async function() {
+    const pending = this.$locals.historyChanges;
+    delete this.$locals.historyChanges;
+    if (!pending) return;
+
+    await recordVersion({
+      modelName: this.constructor.modelName,
+      hospitalId: this.hospitalId,
+      recordId: this._id,
+      session: this.$session(),
+      ...pending
+    });
+  });
+
+  schema.pre([...UPDATE_HOOKS, ...DELETE_HOOKS], async function() {
+    const session = this.getOptions().session;
+    let query = this.model.find(this.getFilter()).withDeleted().session(session);
+    if (this.op !== 'updateMany' && this.op !== 'deleteMany') {
+      query = query.limit(1);
+    }
+    pendingQueries.set(this, await query);
+  });
+
+  schema.post(UPDATE_HOOKS, async function() {
+    const before = pendingQueries.get(this) || [];
+    pendingQueries.delete(this);
+    if (!before.length) return;
+
+    const session = this.getOptions().session;
+    const after = await this.model.find({ _id: { $in: before.map(record => record._id) } })
+      .withDeleted()
+      .session(session);
+    const afterById = new Map(after.map(record => [String(record._id), record]));
+
+    for (const record of before) {
+      const updated = afterById.get(String(record._id));
+      const changes = updated ? diffSnapshots(snapshot(record), snapshot(updated)) : [];
+      if (!changes.length) continue;
+
+      await recordVersion({
+        modelName: this.model.modelName,
+        hospitalId: record.hospitalId,
+        recordId: record._id,
+        action: 'update',
+        changes,
+        session
+      });
+    }
+  });
+
+  // Purged records take their history with them; only who purged them and when remains
+  schema.post(DELETE_HOOKS, async function() {
+    const before = pendingQueries.get(this) || [];
+    pendingQueries.delete(this);
+    if (!before.length) return;
+
+    const session = this.getOptions().session;
+    const remaining = await this.model.find({ _id: { $in: before.map(record => record._id) } })
+      .withDeleted()
+      .select('_id')
+      .session(session);
+    const purged = before.filter(record => !remaining.some(other => other._id.equals(record._id)));
+
+    for (const record of purged) {
+      const filter = { hospitalId: record.hospitalId, modelName: this.model.modelName, recordId: record._id };
+      await RecordHistory.deleteMany(filter).session(session);
+      await recordVersion({ ...filter, action: 'purge', session });
+    }
+  });
+
+  // Versions of this record, newest first, optionally only those changing `path`
+  schema.methods.history = function({ path, page = 1, limit = 20 } = {}) {
+    const query = {
+      hospitalId: this.hospitalId,
+      modelName: this.constructor.modelName,
+      recordId: this._id
+    };
+    if (path) {
+      query.paths = { $regex: `^${escapeRegex(path)}(\\.|$)` };
+    }
+
+    return Promise.all([
+      RecordHistory.find(query)
+        .populate('changedBy', 'name email')
+        .sort({ version: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      RecordHistory.countDocuments(query)
+    ]);
+  };
+
+  // The record as it was at `at`: its current state with every later change
+  // undone. Null if it did not exist yet. `complete` is false when the record
+  // predates change history, as changes made before that are unknown.
+  schema.methods.asOf = async function(at) {
+    const query = {
+      hospitalId: this.hospitalId,
+      modelName: this.constructor.modelName,
+      recordId: this._id
+    };
+    const [created, later, current] = await Promise.all([
+      RecordHistory.findOne({ ...query, action: 'create' }).select('changedAt'),
+      RecordHistory.find({ ...query, changedAt: { $gt: at } }).sort({ version: -1 }),
+      RecordHistory.findOne({ ...query, changedAt: { $lte: at } }).sort({ version: -1 }).select('version changedAt')
+    ]);
+
+    const createdAt = created ? created.changedAt : this.createdAt;
+    if (createdAt && createdAt > at) {
+      return null;
+    }
+
+    const data = snapshot(this);
+    CURRENT_ONLY_PATHS.forEach(path => delete data[path]);
+    later.forEach(entry => {
+      entry.changes.forEach(({ path, from }) => setPath(data, path, from));
+    });
+
+    return {
+      version: current ? current.version : null,
+      changedAt: current ? current.changedAt : null,
+      complete: Boolean(created),
+      data
+    };
+  };
+};
+
+module.exports = history;
@@ -0,0 +1,85 @@
+// Insurance coverage helpers and the pluggable eligibility checker. A checker
+// is { name, check(patient, coverage) } resolving to
+// { status, message, reference }, where status is one of ELIGIBILITY_STATUSES.
+
+const ELIGIBILITY_STATUSES = ['unknown', 'eligible', 'ineligible', 'error'];
+
+// Coverage is in force on a date if it has started and not yet expired
+const isInForce = (coverage, at = new Date()) => {
+  if (coverage.effectiveDate && coverage.effectiveDate > at) return false;
+  if (coverage.expiryDate && coverage.expiryDate < at) return false;
+  return true;
+};
+
+const findPrimary = (coverages = []) => coverages.find(coverage => coverage.isPrimary);
+
+// Warnings about the primary coverage for a visit at `at`, for appointment responses
+const coverageWarnings = (coverages, at = new Date()) => {
+  const primary = findPrimary(coverages);
+  if (!primary) return [];
+
+  if (primary.expiryDate && primary.expiryDate < at) {
+    return [`Primary insurance (${primary.provider}) expired on ${primary.expiryDate.toISOString().slice(0, 10)}`];
+  }
+  if (primary.effectiveDate && primary.effectiveDate > at) {
+    return [`Primary insurance (${primary.provider}) is not effective until ${primary.effectiveDate.toISOString().slice(0, 10)}`];
+  }
+  if (primary.eligibility && primary.eligibility.status === 'ineligible') {
+    return [`Primary insurance (${primary.provider}) was found ineligible: ${primary.eligibility.message}`];
+  }
+  return [];
+};
+
+// Answers from the coverage dates alone, for local development
+const createStubChecker = () => ({
+  name: 'stub',
+  check: async (patient, coverage) => {
+    const inForce = isInForce(coverage);
+    return {
+      status: inForce ? 'eligible' : 'ineligible',
+      message: inForce ? 'Coverage is in force' : 'Coverage is not in force today',
+      reference: `stub-${coverage._id}-${Date.now()}`
+    };
+  }
+});
+
+let checker = createStubChecker();
+
+// Swap the checker, e.g. for a clearinghouse integration or in tests
+const setChecker = (newChecker) => {
+  checker = newChecker;
+};
+
+// Run the checker and record its answer on the coverage. Checker failures
+// are recorded as an 'error' status rather than thrown.
+const checkEligibility = async (patient, coverage) => {
+  let result;
+  try {
+    result = await checker.check(patient, coverage);
+    if (!ELIGIBILITY_STATUSES.includes(result.status)) {
+      throw new Error(`Unknown eligibility status: ${result.status}`);
+    }
+  } catch (error) {
+    console.error('Eligibility check error:', error);
+    result = { status: 'error', message: 'The eligibility check failed' };
+  }
+
+  coverage.eligibility = {
+    status: result.status,
+    message: result.message,
+    reference: result.reference,
+    checker: checker.name,
+    checkedAt: new Date()
+  };
+  return coverage.eligibility;
+};
+
+module.exports = {
+  ELIGIBILITY_STATUSES,
+  isInForce,
+  findPrimary,
+  coverageWarnings,
+  createStubChecker,
+  setChecker,
+  checkEligibility
+};
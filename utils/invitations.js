@@ -0,0 +1,35 @@
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const { sendInvitationEmail } = require('./mailer');
+
+// Create and email an invitation, replacing any pending one for the same email.
+// Returns null when an account with this email already exists.
+const inviteUser = async ({ hospitalId, email, name, role, staffData, patientId, expiresInDays }, inviter) => {
+  const normalizedEmail = email.toLowerCase().trim();
+
+  const existingUser = await User.findOne({ email: normalizedEmail });
+  if (existingUser) return null;
+
+  await Invitation.updateMany(
+    { hospitalId, email: normalizedEmail, status: 'pending' },
+    { status: 'revoked' }
+  );
+
+  const invitation = new Invitation({
+    hospitalId,
+    email: normalizedEmail,
+    name,
+    role,
+    staffData,
+    patientId,
+    invitedBy: inviter._id
+  });
+  const token = invitation.createToken(expiresInDays);
+  await invitation.save();
+
+  await sendInvitationEmail(invitation, token, inviter);
+
+  return invitation;
+};
+
+module.exports = { inviteUser };
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'MediSync <no-reply@medisync.local>';
+const CLIENT_URL = process.env.CLIENT_URL || process.env.CORS_ORIGIN || 'http://localhost:5173';
+
+// Build an RFC 5322 message from { from, to, subject, text }
+const formatMessage = (message) => {
+  return [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${message.id}@medisync.local>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    message.text
+  ].join('\r\n');
+};
+
+// Writes every message as a JSON file into a local outbox directory
+const createOutboxTransport = (dir = process.env.MAIL_OUTBOX_DIR || 'outbox') => ({
+  name: 'outbox',
+  send: async (message) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${message.id}.json`);
+    await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+    return { id: message.id, file };
+  }
+});
+
+const extractAddress = (value) => {
+  const match = /<([^>]+)>/.exec(value);
+  return match ? match[1] : value;
+};
+
+// Minimal SMTP client without auth or TLS, meant for a local stub server
+const createSmtpTransport = ({
+  host = process.env.SMTP_HOST || 'localhost',
+  port = parseInt(process.env.SMTP_PORT) || 2525
+} = {}) => ({
+  name: 'smtp',
+  send: (message) => new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    const body = formatMessage(message).replace(/^\./gm, '..');
+    const steps = [
+      null,
+      'EHLO medisync.local',
+      `MAIL FROM:<${extractAddress(message.from)}>`,
+      `RCPT TO:<${extractAddress(message.to)}>`,
+      'DATA',
+      `${body}\r\n.`,
+      'QUIT'
+    ];
+    let buffer = '';
+
+    socket.setEncoding('utf8');
+    socket.setTimeout(10000);
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      // Wait for the last line of a (possibly multi-line) reply
+      const lines = buffer.split('\r\n').filter(Boolean);
+      const last = lines[lines.length - 1];
+      if (!last || !buffer.endsWith('\r\n') || last[3] === '-') return;
+      buffer = '';
+
+      if (!/^[23]/.test(last)) {
+        socket.destroy();
+        return reject(new Error(`SMTP error: ${last}`));
+      }
+
+      steps.shift();
+      if (steps.length === 0) {
+        socket.end();
+        return resolve({ id: message.id });
+      }
+      socket.write(`${steps[0]}\r\n`);
+    });
+
+    socket.on('timeout', () => {
+      socket.destroy();
+      reject(new Error('SMTP connection timed out'));
+    });
+    socket.on('error', reject);
+  })
+});
+
+let transport = process.env.MAIL_TRANSPORT === 'smtp'
+  ? createSmtpTransport()
+  : createOutboxTransport();
+
+// Swap the transport, e.g. for a real provider or in tests
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const sendMail = ({ to, subject, text }) => {
+  return transport.send({
+    id: uuidv4(),
+    from: MAIL_FROM,
+    to,
+    subject,
+    text
+  });
+};
+
+const sendVerificationEmail = (user, token) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your MediSync email address',
+    text: `Hello ${user.name},\n\n` +
+      `Please verify your email address by opening the link below:\n\n` +
+      `${CLIENT_URL}/verify-email?token=${token}\n\n` +
+      'If you did not create this account you can ignore this email.'
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your MediSync password',
+    text: `Hello ${user.name},\n\n` +
+      `A password reset was requested for your account. Open the link below to choose a new password:\n\n` +
+      `${CLIENT_URL}/reset-password?token=${token}\n\n` +
+      'The link expires soon and can be used only once. If you did not request this you can ignore this email.'
+  });
+};
+
+const sendInvitationEmail = (invitation, token, inviter) => {
+  return sendMail({
+    to: invitation.email,
+    subject: 'You have been invited to MediSync',
+    text: `Hello${invitation.name ? ` ${invitation.name}` : ''},\n\n` +
+      `${inviter.name} has invited you to join their hospital on MediSync as ${invitation.role}.\n\n` +
+      `Accept the invitation and set your password here:\n\n` +
+      `${CLIENT_URL}/accept-invitation?token=${token}\n\n` +
+      `This invitation expires on ${invitation.expiresAt.toUTCString()}.`
+  });
+};
+
+module.exports = {
+  createOutboxTransport,
+  createSmtpTransport,
+  setTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendInvitationEmail
+};
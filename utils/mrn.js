@@ -0,0 +1,50 @@
+const Counter = require('../models/Counter');
+
+const MAX_ATTEMPTS = 5;
+
+// Luhn check digit, so a mistyped or misread MRN is caught at the desk
+const luhnCheckDigit = (digits) => {
+  let sum = 0;
+  digits.split('').reverse().forEach((char, index) => {
+    let value = parseInt(char, 10);
+    if (index % 2 === 0) {
+      value *= 2;
+      if (value > 9) value -= 9;
+    }
+    sum += value;
+  });
+  return String((10 - (sum % 10)) % 10);
+};
+
+// MRN for a sequence number using the hospital's settings, e.g. MRN0001234
+const formatMrn = (seq, { prefix = 'MRN', digits = 7, checkDigit = false } = {}) => {
+  const number = String(seq).padStart(digits, '0');
+  return `${prefix}${number}${checkDigit ? luhnCheckDigit(number) : ''}`;
+};
+
+const generateMrn = async (hospital) => {
+  const seq = await Counter.next(String(hospital._id), 'mrn');
+  return formatMrn(seq, hospital.settings.mrn);
+};
+
+// Save a new patient with the next MRN. The per-hospital counter never hands
+// out a number twice; the retry covers MRNs already taken by imported records.
+const saveWithMrn = async (patient, hospital) => {
+  for (let attempt = 1; ; attempt++) {
+    patient.mrn = await generateMrn(hospital);
+    try {
+      return await patient.save();
+    } catch (error) {
+      const mrnTaken = error.code === 11000 && error.keyPattern && error.keyPattern.mrn;
+      if (!mrnTaken || attempt >= MAX_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+module.exports = {
+  formatMrn,
+  generateMrn,
+  saveWithMrn
+};
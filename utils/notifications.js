@@ -0,0 +1,37 @@
+const { EventEmitter } = require('events');
+const { sendMail } = require('./mailer');
+
+// In-process hook for events other teams need to follow up on, such as
+// compliance reviewing break-the-glass access. Integrations subscribe with
+// notifications.on(event, handler).
+const notifications = new EventEmitter();
+
+const COMPLIANCE_EMAIL = process.env.COMPLIANCE_EMAIL;
+
+// Emit an event without letting a failing handler break the request that raised it
+const notify = (event, payload) => {
+  try {
+    notifications.emit(event, payload);
+  } catch (error) {
+    console.error(`Notification handler error (${event}):`, error);
+  }
+};
+
+// Default subscriber: email compliance about every emergency access
+notifications.on('emergencyAccess.granted', ({ access, user, patient }) => {
+  if (!COMPLIANCE_EMAIL) return;
+
+  sendMail({
+    to: COMPLIANCE_EMAIL,
+    subject: `Break-the-glass access by ${user.name}`,
+    text: `${user.name} (${user.email}, ${user.role}) used emergency access.\n\n` +
+      `Patient: ${patient.firstName} ${patient.lastName} (${patient._id})\n` +
+      `Hospital: ${access.hospitalId}\n` +
+      `Reason: ${access.reason}\n` +
+      `Granted: ${access.createdAt.toISOString()}\n` +
+      `Expires: ${access.expiresAt.toISOString()}\n\n` +
+      'Please review this access in the emergency access review queue.'
+  }).catch(error => console.error('Send compliance email error:', error));
+});
+
+module.exports = { notifications, notify };
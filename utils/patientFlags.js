@@ -0,0 +1,64 @@
+// Clinical flags shown prominently on a patient's chart, with the severity
+// they get unless the clinician setting them chooses another
+const FLAG_TYPES = {
+  dnr: { label: 'Do not resuscitate', severity: 'critical' },
+  'fall-risk': { label: 'Fall risk', severity: 'warning' },
+  isolation: { label: 'Infectious isolation', severity: 'critical' },
+  vip: { label: 'VIP', severity: 'info' },
+  'violent-behaviour': { label: 'Violent behaviour', severity: 'critical' }
+};
+
+// Most severe first
+const FLAG_SEVERITIES = ['critical', 'warning', 'info'];
+
+// A flag is active between its start and expiry unless it was ended early
+const isFlagActive = (flag, at = new Date()) => {
+  if (flag.endedAt) return false;
+  if (flag.startsAt && flag.startsAt > at) return false;
+  if (flag.expiresAt && flag.expiresAt <= at) return false;
+  return true;
+};
+
+// Active flags, most severe first
+const activeFlags = (patient, at = new Date()) => {
+  return (patient.flags || [])
+    .filter(flag => isFlagActive(flag, at))
+    .sort((a, b) => FLAG_SEVERITIES.indexOf(a.severity) - FLAG_SEVERITIES.indexOf(b.severity));
+};
+
+// Compact alert indicator for lists: null when the patient has no active flags
+const alertIndicator = (patient, at = new Date()) => {
+  const flags = activeFlags(patient, at);
+  if (!flags.length) return null;
+
+  return {
+    severity: flags[0].severity,
+    types: [...new Set(flags.map(flag => flag.type))],
+    count: flags.length
+  };
+};
+
+// Replace the flags of an appointment's populated patient with its alert
+// indicator, for serialized appointments whose patient was populated with `flags`
+const withPatientAlert = (appointment) => {
+  const patient = appointment.patientId;
+  if (!patient || !patient.flags) {
+    return appointment;
+  }
+
+  const { flags, ...patientFields } = patient;
+  return {
+    ...appointment,
+    patientId: patientFields,
+    patientAlert: alertIndicator({ flags })
+  };
+};
+
+module.exports = {
+  FLAG_TYPES,
+  FLAG_SEVERITIES,
+  isFlagActive,
+  activeFlags,
+  alertIndicator,
+  withPatientAlert
+};
@@ -0,0 +1,153 @@
+const Patient = require('../models/Patient');
+const { normalizeName, normalizePhone, normalizeEmail, jaroWinkler } = require('./textMatching');
+
+// Score from which two records are reported as likely the same person
+const DUPLICATE_THRESHOLD = 0.65;
+
+// Weights of the compared attributes; they add up to 1
+const WEIGHTS = {
+  name: 0.4,
+  dateOfBirth: 0.3,
+  phone: 0.15,
+  email: 0.15
+};
+
+const sameDay = (a, b) => {
+  if (!a || !b) return false;
+  return new Date(a).toISOString().slice(0, 10) === new Date(b).toISOString().slice(0, 10);
+};
+
+// Name similarity, also trying first and last name swapped
+const nameSimilarity = (a, b) => {
+  const aFirst = normalizeName(a.firstName);
+  const aLast = normalizeName(a.lastName);
+  const bFirst = normalizeName(b.firstName);
+  const bLast = normalizeName(b.lastName);
+
+  return Math.max(
+    jaroWinkler(aFirst + aLast, bFirst + bLast),
+    jaroWinkler(aFirst + aLast, bLast + bFirst)
+  );
+};
+
+// How likely two patient records describe the same person, with the reasons
+const scoreMatch = (a, b) => {
+  const name = nameSimilarity(a, b);
+  const reasons = [];
+  let score = name * WEIGHTS.name;
+
+  if (name >= 0.9) reasons.push(name === 1 ? 'same name' : 'similar name');
+
+  if (sameDay(a.dateOfBirth, b.dateOfBirth)) {
+    score += WEIGHTS.dateOfBirth;
+    reasons.push('same date of birth');
+  }
+
+  const phone = normalizePhone(a.phone);
+  if (phone.length >= 7 && phone === normalizePhone(b.phone)) {
+    score += WEIGHTS.phone;
+    reasons.push('same phone');
+  }
+
+  const email = normalizeEmail(a.email);
+  if (email && email === normalizeEmail(b.email)) {
+    score += WEIGHTS.email;
+    reasons.push('same email');
+  }
+
+  return { score: Math.round(score * 100) / 100, reasons };
+};
+
+const summarizePatient = (patient) => ({
+  _id: patient._id,
+  mrn: patient.mrn,
+  firstName: patient.firstName,
+  lastName: patient.lastName,
+  dateOfBirth: patient.dateOfBirth,
+  phone: patient.phone,
+  email: patient.email
+});
+
+// Existing patients that are likely the same person as `data`. Candidates
+// share a date of birth, phone or email; the score then weighs the name in.
+const findDuplicateCandidates = async (hospitalId, data, { excludeId } = {}) => {
+  const or = [];
+
+  if (data.dateOfBirth && !isNaN(new Date(data.dateOfBirth))) {
+    const start = new Date(new Date(data.dateOfBirth).toISOString().slice(0, 10));
+    or.push({ dateOfBirth: { $gte: start, $lt: new Date(start.getTime() + 24 * 60 * 60 * 1000) } });
+  }
+  if (data.email) or.push({ email: normalizeEmail(data.email) });
+  if (data.phone) or.push({ phone: data.phone });
+
+  if (!or.length) return [];
+
+  const query = { hospitalId, status: { $ne: 'Merged' }, $or: or };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const patients = await Patient.find(query).limit(50);
+
+  return patients
+    .map(patient => ({ patient, match: scoreMatch(data, patient) }))
+    .filter(({ match }) => match.score >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.match.score - a.match.score)
+    .map(({ patient, match }) => ({
+      patient: summarizePatient(patient),
+      score: match.score,
+      reasons: match.reasons
+    }));
+};
+
+// Likely duplicate pairs across the hospital, highest score first. Pairs are
+// only compared within groups sharing a date of birth, phone or email; phone
+// and email are encrypted, so they are grouped by their blind index.
+const findDuplicatePairs = async (hospitalId, { limit = 50 } = {}) => {
+  const groupKeys = ['dateOfBirth', 'blindIndex.phone', 'blindIndex.email'];
+
+  const groups = await Promise.all(groupKeys.map(key => Patient.aggregate([
+    { $match: { hospitalId, status: { $ne: 'Merged' }, [key]: { $exists: true, $ne: null } } },
+    { $group: { _id: `$${key}`, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1, $lte: 50 } } }
+  ])));
+
+  const pairKeys = new Set();
+  const idPairs = [];
+  groups.flat().forEach(({ ids }) => {
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const [first, second] = [String(ids[i]), String(ids[j])].sort();
+        const key = `${first}:${second}`;
+        if (!pairKeys.has(key)) {
+          pairKeys.add(key);
+          idPairs.push([first, second]);
+        }
+      }
+    }
+  });
+
+  const patientIds = [...new Set(idPairs.flat())];
+  const patients = await Patient.find({ _id: { $in: patientIds } });
+  const byId = new Map(patients.map(patient => [String(patient._id), patient]));
+
+  return idPairs
+    .map(([first, second]) => {
+      const a = byId.get(first);
+      const b = byId.get(second);
+      return { a, b, match: scoreMatch(a, b) };
+    })
+    .filter(({ match }) => match.score >= DUPLICATE_THRESHOLD)
+    .sort((x, y) => y.match.score - x.match.score)
+    .slice(0, limit)
+    .map(({ a, b, match }) => ({
+      score: match.score,
+      reasons: match.reasons,
+      patients: [summarizePatient(a), summarizePatient(b)]
+    }));
+};
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  scoreMatch,
+  findDuplicateCandidates,
+  findDuplicatePairs
+};
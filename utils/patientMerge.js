@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const PatientMerge = require('../models/PatientMerge');
+const Appointment = require('../models/Appointment');
+const Invitation = require('../models/Invitation');
+const Vitals = require('../models/Vitals');
+
+// Clinical lists copied to the survivor, with where their ids are recorded
+const CLINICAL_LISTS = [
+  { field: 'allergies', changeField: 'allergyIds' },
+  { field: 'medications', changeField: 'medicationIds' },
+  { field: 'medicalHistory', changeField: 'conditionIds' },
+  { field: 'flags', changeField: 'flagIds' },
+  { field: 'insurance', changeField: 'coverageIds' },
+  { field: 'consents', changeField: 'consentIds' }
+];
+
+// Consent versions count up per type (see utils/consent), so once both
+// records' consents are combined they are numbered again in the order they
+// were given, keeping the most recent decision current
+const renumberConsents = (patient) => {
+  const byType = {};
+  patient.consents.forEach(consent => {
+    (byType[consent.type] = byType[consent.type] || []).push(consent);
+  });
+  Object.values(byType).forEach(consents => {
+    consents
+      .sort((a, b) => a.grantedAt - b.grantedAt || a.version - b.version)
+      .forEach((consent, index) => { consent.version = index + 1; });
+  });
+};
+
+const sameExternalId = (a, b) => a.system === b.system && a.value === b.value;
+
+const inTransaction = async (work) => {
+  const dbSession = await mongoose.startSession();
+  try {
+    await dbSession.withTransaction(() => work(dbSession));
+  } finally {
+    await dbSession.endSession();
+  }
+};
+
+// Move the merge request on from `from` within the transaction, so that of two
+// concurrent or retried approvals (or reverts) only one carries it out
+const claim = async (merge, from, to, dbSession) => {
+  const result = await PatientMerge.updateOne(
+    { _id: merge._id, hospitalId: merge.hospitalId, status: from },
+    { status: to },
+    { session: dbSession }
+  );
+  return result.modifiedCount === 1;
+};
+
+const loadPair = (merge, dbSession) => {
+  return Promise.all([
+    Patient.findOne({ _id: merge.survivorId, hospitalId: merge.hospitalId }).session(dbSession),
+    Patient.findOne({ _id: merge.mergedId, hospitalId: merge.hospitalId }).session(dbSession)
+  ]);
+};
+
+// Merge the duplicate into the survivor: move its appointments, vitals and
+// pending portal invitations, copy its clinical entries, flags, insurance,
+// consents, care team and external ids, hand over its portal account if the survivor has none,
+// and mark it as merged. The duplicate record itself is kept so the merge
+// can be reverted. Returns false, changing nothing, when the merge is no
+// longer pending.
+const executeMerge = async (merge) => {
+  let claimed = false;
+  await inTransaction(async (dbSession) => {
+    claimed = await claim(merge, 'pending', 'completed', dbSession);
+    if (!claimed) return;
+
+    const [survivor, merged] = await loadPair(merge, dbSession);
+    const changes = { mergedStatus: merged.status };
+    const hospitalId = merge.hospitalId;
+
+    // Archived appointments move as well, so restoring one later finds the right patient
+    const appointments = await Appointment.find({ hospitalId, patientId: merged._id }, '_id')
+      .withDeleted()
+      .session(dbSession);
+    changes.appointmentIds = appointments.map(appointment => appointment._id);
+    await Appointment.updateMany(
+      { _id: { $in: changes.appointmentIds } },
+      { patientId: survivor._id },
+      { session: dbSession, withDeleted: true }
+    );
+
+    const vitals = await Vitals.find({ hospitalId, patientId: merged._id }, '_id').session(dbSession);
+    changes.vitalsIds = vitals.map(reading => reading._id);
+    await Vitals.updateMany(
+      { _id: { $in: changes.vitalsIds } },
+      { patientId: survivor._id },
+      { session: dbSession }
+    );
+
+    const invitations = await Invitation.find({ hospitalId, patientId: merged._id, status: 'pending' }, '_id').session(dbSession);
+    changes.invitationIds = invitations.map(invitation => invitation._id);
+    await Invitation.updateMany(
+      { _id: { $in: changes.invitationIds } },
+      { patientId: survivor._id },
+      { session: dbSession }
+    );
+
+    CLINICAL_LISTS.forEach(({ field, changeField }) => {
+      const existing = new Set(survivor[field].map(entry => String(entry._id)));
+      const copied = merged[field].filter(entry => !existing.has(String(entry._id)));
+      copied.forEach(entry => survivor[field].push(entry.toObject()));
+      changes[changeField] = copied.map(entry => entry._id);
+    });
+
+    const copiedConsents = new Set(changes.consentIds.map(String));
+    changes.consentVersions = survivor.consents
+      .filter(consent => !copiedConsents.has(String(consent._id)))
+      .map(consent => ({ consentId: consent._id, version: consent.version }));
+    renumberConsents(survivor);
+
+    // The survivor keeps its primary physician and gains the duplicate's
+    // other clinicians
+    const team = survivor.careTeam;
+    const absorbedTeam = merged.careTeam || {};
+    const notOnTeam = (ids, own) => (ids || []).filter(id => !(own || []).some(ownId => String(ownId) === String(id)));
+    changes.careTeam = {
+      primaryPhysician: !team.primaryPhysician && absorbedTeam.primaryPhysician ? absorbedTeam.primaryPhysician : undefined,
+      consultants: notOnTeam(absorbedTeam.consultants, team.consultants),
+      nurses: notOnTeam(absorbedTeam.nurses, team.nurses)
+    };
+    if (changes.careTeam.primaryPhysician) {
+      team.primaryPhysician = changes.careTeam.primaryPhysician;
+    }
+    team.consultants = [...(team.consultants || []), ...changes.careTeam.consultants];
+    team.nurses = [...(team.nurses || []), ...changes.careTeam.nurses];
+
+    // The survivor's own primary coverage stays primary
+    if (survivor.insurance.filter(coverage => coverage.isPrimary).length > 1) {
+      const copiedCoverage = new Set(changes.coverageIds.map(String));
+      survivor.insurance
+        .filter(coverage => copiedCoverage.has(String(coverage._id)))
+        .forEach(coverage => { coverage.isPrimary = false; });
+    }
+
+    changes.externalIds = merged.externalIds
+      .filter(id => !survivor.externalIds.some(own => sameExternalId(own, id)))
+      .map(id => ({ system: id.system, value: id.value }));
+
+    // External ids and the portal account are unique per hospital, so the
+    // duplicate gives them up before the survivor takes them
+    if (merged.userId && !survivor.userId) {
+      changes.portalUserId = merged.userId;
+      merged.userId = undefined;
+    }
+    merged.externalIds = [];
+    merged.status = 'Merged';
+    merged.mergedInto = survivor._id;
+    await merged.save({ session: dbSession });
+
+    survivor.externalIds.push(...changes.externalIds);
+    if (changes.portalUserId) {
+      survivor.userId = changes.portalUserId;
+    }
+    await survivor.save({ session: dbSession });
+
+    merge.status = 'completed';
+    merge.completedAt = new Date();
+    merge.changes = changes;
+    await merge.save({ session: dbSession });
+  });
+  return claimed;
+};
+
+// Undo a completed merge using what it recorded. Changes made to the
+// survivor since the merge are kept. Returns false, changing nothing, when
+// the merge is no longer completed.
+const revertMerge = async (merge) => {
+  let claimed = false;
+  await inTransaction(async (dbSession) => {
+    claimed = await claim(merge, 'completed', 'reverted', dbSession);
+    if (!claimed) return;
+
+    const [survivor, merged] = await loadPair(merge, dbSession);
+    const changes = merge.changes;
+
+    await Appointment.updateMany(
+      { _id: { $in: changes.appointmentIds }, patientId: survivor._id },
+      { patientId: merged._id },
+      { session: dbSession, withDeleted: true }
+    );
+    await Vitals.updateMany(
+      { _id: { $in: changes.vitalsIds }, patientId: survivor._id },
+      { patientId: merged._id },
+      { session: dbSession }
+    );
+    await Invitation.updateMany(
+      { _id: { $in: changes.invitationIds }, patientId: survivor._id },
+      { patientId: merged._id },
+      { session: dbSession }
+    );
+
+    CLINICAL_LISTS.forEach(({ field, changeField }) => {
+      const copied = new Set(changes[changeField].map(String));
+      survivor[field] = survivor[field].filter(entry => !copied.has(String(entry._id)));
+    });
+
+    // Consents given before the merge get their old numbers back; later ones
+    // already follow them
+    (changes.consentVersions || []).forEach(({ consentId, version }) => {
+      const consent = survivor.consents.id(consentId);
+      if (consent) consent.version = version;
+    });
+
+    const addedTeam = changes.careTeam || {};
+    const added = (ids) => new Set((ids || []).map(String));
+    const team = survivor.careTeam;
+    if (addedTeam.primaryPhysician && String(team.primaryPhysician) === String(addedTeam.primaryPhysician)) {
+      team.primaryPhysician = undefined;
+    }
+    team.consultants = (team.consultants || []).filter(id => !added(addedTeam.consultants).has(String(id)));
+    team.nurses = (team.nurses || []).filter(id => !added(addedTeam.nurses).has(String(id)));
+
+    survivor.externalIds = survivor.externalIds
+      .filter(id => !changes.externalIds.some(moved => sameExternalId(moved, id)));
+
+    const returnPortalUser = changes.portalUserId && String(survivor.userId) === String(changes.portalUserId);
+    if (returnPortalUser) {
+      survivor.userId = undefined;
+    }
+    await survivor.save({ session: dbSession });
+
+    merged.externalIds = changes.externalIds;
+    if (returnPortalUser) {
+      merged.userId = changes.portalUserId;
+    }
+    merged.status = changes.mergedStatus || 'Active';
+    merged.mergedInto = undefined;
+    await merged.save({ session: dbSession });
+
+    merge.status = 'reverted';
+    await merge.save({ session: dbSession });
+  });
+  return claimed;
+};
+
+module.exports = {
+  executeMerge,
+  revertMerge
+};
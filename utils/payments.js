@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const Plan = require('../models/Plan');
+const Subscription = require('../models/Subscription');
+
+const SIGNATURE_HEADER = 'x-payment-signature';
+
+const signPayload = (payload, secret) => {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+// Compare the provider's HMAC-SHA256 signature of the raw request body
+const verifySignature = (payload, signature, secret) => {
+  if (!payload || !signature || !secret) return false;
+
+  const expected = Buffer.from(signPayload(payload, secret), 'hex');
+  const received = Buffer.from(String(signature), 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const toDate = (value) => (value ? new Date(value) : undefined);
+
+// Apply a webhook event to the hospital's subscription. Supported events:
+//   subscription.activated / subscription.updated - plan and billing period
+//   invoice.paid / invoice.payment_failed        - payment state
+//   subscription.cancelled                       - back to the default plan
+// Throws for unknown plans; returns null for event types that are ignored.
+const applyPaymentEvent = async (event) => {
+  const data = event.data || {};
+  const subscription = await Subscription.findOne({ hospitalId: data.hospitalId });
+
+  switch (event.type) {
+    case 'subscription.activated':
+    case 'subscription.updated': {
+      const plan = await Plan.findByCode(data.plan);
+      if (!plan) {
+        throw new Error(`Unknown plan: ${data.plan}`);
+      }
+
+      const updated = subscription || new Subscription({ hospitalId: data.hospitalId });
+      updated.planId = plan._id;
+      updated.status = data.status || 'active';
+      updated.currentPeriodStart = toDate(data.currentPeriodStart) || updated.currentPeriodStart;
+      updated.currentPeriodEnd = toDate(data.currentPeriodEnd) || updated.currentPeriodEnd;
+      updated.provider = {
+        customerId: data.customerId || (updated.provider && updated.provider.customerId),
+        subscriptionId: data.subscriptionId || (updated.provider && updated.provider.subscriptionId)
+      };
+      updated.cancelledAt = undefined;
+      return updated.save();
+    }
+
+    case 'invoice.paid':
+      if (!subscription) return null;
+      subscription.status = 'active';
+      subscription.lastPaymentAt = toDate(data.paidAt) || new Date();
+      subscription.currentPeriodEnd = toDate(data.currentPeriodEnd) || subscription.currentPeriodEnd;
+      return subscription.save();
+
+    case 'invoice.payment_failed':
+      if (!subscription) return null;
+      subscription.status = 'past_due';
+      subscription.lastPaymentFailedAt = new Date();
+      return subscription.save();
+
+    case 'subscription.cancelled':
+      if (!subscription) return null;
+      subscription.status = 'cancelled';
+      subscription.cancelledAt = new Date();
+      return subscription.save();
+
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  signPayload,
+  verifySignature,
+  applyPaymentEvent
+};
@@ -0,0 +1,92 @@
+// Every permission a route can require, with a description for the admin UI
+const PERMISSIONS = {
+  'patients:read': 'View patient records',
+  'patients:write': 'Create and update patient records',
+  'patients:delete': 'Delete patient records',
+  'patients:emergency-access': 'Break the glass to open any patient chart in an emergency',
+  'patients:all-records': 'Open any patient chart when the hospital limits charts to care teams',
+  'doctors:read': 'View doctor profiles',
+  'doctors:write': 'Create and update doctor profiles',
+  'staff:read': 'View staff members',
+  'staff:write': 'Invite, update and deactivate staff members',
+  'staff:salary:read': 'View staff salaries',
+  'staff:salary:write': 'Set staff salaries',
+  'appointments:read': 'View appointments',
+  'appointments:write': 'Create, update and cancel appointments',
+  'insurance:read': 'View patient insurance coverage',
+  'insurance:write': 'Manage patient insurance coverage and check eligibility',
+  'prescriptions:read': 'View prescriptions',
+  'prescriptions:write': 'Create prescriptions',
+  'reports:read': 'View medical reports',
+  'reports:write': 'Upload and generate medical reports',
+  'reminders:read': 'View reminders',
+  'reminders:write': 'Create reminders',
+  'dashboard:read': 'View dashboard statistics',
+  'portal:access': 'Use the patient portal for the linked patient record',
+  'dashboard:analytics': 'View department and workload analytics',
+  'users:manage': 'Invite users and manage their sessions and lockouts',
+  'roles:manage': 'Manage custom roles and assign them to users',
+  'settings:manage': 'Manage hospital security and registration settings',
+  'billing:manage': 'View the subscription, plan usage and billing',
+  'integrations:manage': 'Manage service accounts and API keys',
+  'compliance:review': 'Review emergency access and other compliance events',
+  'records:history': 'View the change history of records and how they looked on a past date'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Permissions of each built-in role when no custom role is assigned
+const DEFAULT_ROLE_PERMISSIONS = {
+  hospitalOwner: ALL_PERMISSIONS,
+  doctor: [
+    'patients:read',
+    'patients:write',
+    'patients:emergency-access',
+    'doctors:read',
+    'doctors:write',
+    'appointments:read',
+    'appointments:write',
+    'insurance:read',
+    'prescriptions:read',
+    'prescriptions:write',
+    'reports:read',
+    'reports:write',
+    'reminders:read',
+    'reminders:write',
+    'dashboard:read',
+    'records:history'
+  ],
+  staff: [
+    'patients:read',
+    'patients:write',
+    'patients:emergency-access',
+    'patients:all-records',
+    'doctors:read',
+    'staff:read',
+    'appointments:read',
+    'appointments:write',
+    'insurance:read',
+    'insurance:write',
+    'prescriptions:read',
+    'reports:read',
+    'reminders:read',
+    'reminders:write',
+    'dashboard:read',
+    'dashboard:analytics',
+    'records:history'
+  ],
+  // Patient users only ever see their own record; see middleware/patientAccess
+  patient: [
+    'patients:read',
+    'doctors:read',
+    'appointments:read',
+    'insurance:read',
+    'portal:access'
+  ]
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS
+};
@@ -0,0 +1,47 @@
+// Features a plan can unlock, with a description for the billing UI
+const FEATURES = {
+  virtualAppointments: 'Schedule virtual appointments',
+  analytics: 'Department and doctor workload analytics'
+};
+
+// Records whose number a plan can limit
+const QUOTA_RESOURCES = ['patients', 'doctors', 'staff'];
+
+// Plan used by hospitals without an active subscription
+const DEFAULT_PLAN_CODE = process.env.DEFAULT_PLAN || 'free';
+
+// Plans created on startup when missing. A limit of null means unlimited;
+// prices are in the smallest currency unit.
+const DEFAULT_PLANS = [
+  {
+    code: 'free',
+    name: 'Free',
+    description: 'For small clinics getting started',
+    price: { amount: 0, currency: 'USD', interval: 'month' },
+    limits: { patients: 50, doctors: 2, staff: 5 },
+    features: []
+  },
+  {
+    code: 'standard',
+    name: 'Standard',
+    description: 'For growing practices',
+    price: { amount: 9900, currency: 'USD', interval: 'month' },
+    limits: { patients: 2000, doctors: 25, staff: 100 },
+    features: ['virtualAppointments']
+  },
+  {
+    code: 'enterprise',
+    name: 'Enterprise',
+    description: 'For hospitals with several departments',
+    price: { amount: 49900, currency: 'USD', interval: 'month' },
+    limits: { patients: null, doctors: null, staff: null },
+    features: ['virtualAppointments', 'analytics']
+  }
+];
+
+module.exports = {
+  FEATURES,
+  QUOTA_RESOURCES,
+  DEFAULT_PLAN_CODE,
+  DEFAULT_PLANS
+};
@@ -0,0 +1,16 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Who is behind the current request, for code that has no `req`, such as
+// model hooks. The auth middleware sets it; it is empty outside requests
+// (scripts, scheduled jobs) and on public routes.
+const storage = new AsyncLocalStorage();
+
+// Run `callback`, and everything it starts, as `actor` ({ userId, apiKeyId })
+const runAs = (actor, callback) => storage.run(actor, callback);
+
+const currentActor = () => storage.getStore() || {};
+
+module.exports = {
+  runAs,
+  currentActor
+};
@@ -0,0 +1,107 @@
+const { tokenize, normalizePhone, escapeRegex, soundex, jaroWinkler } = require('./textMatching');
+
+// Free-text searches rank at most this many matches in memory
+const MAX_CANDIDATES = 500;
+const MAX_TERMS = 5;
+const MAX_TERM_LENGTH = 50;
+
+// Query string parameters arrive as strings, arrays or objects; only plain
+// strings are used so that `?status[$ne]=x` cannot inject an operator
+const stringParam = (value) => {
+  return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+};
+
+const searchTerms = (text) => {
+  const words = tokenize(text).map(word => word.slice(0, MAX_TERM_LENGTH));
+  const digits = /\d{3,}/.test(text) ? [normalizePhone(text)] : [];
+  return [...new Set([...words, ...digits])].slice(0, MAX_TERMS);
+};
+
+// Every term must prefix-match a stored token or share its phonetic code.
+// Prefix regexes are anchored and escaped, so they use the tokens index.
+const termsQuery = (terms) => ({
+  $and: terms.map(term => {
+    const clauses = [{ 'searchKeys.tokens': { $regex: `^${escapeRegex(term)}` } }];
+    const code = soundex(term);
+    if (code) {
+      clauses.push({ 'searchKeys.phonetic': code });
+    }
+    return { $or: clauses };
+  })
+});
+
+// Relevance of a record's tokens to one search term
+const termScore = (term, tokens, phonetic) => {
+  let best = 0;
+  tokens.forEach(token => {
+    if (token === term) best = Math.max(best, 1);
+    else if (token.startsWith(term)) best = Math.max(best, 0.8);
+    else best = Math.max(best, jaroWinkler(term, token) * 0.5);
+  });
+  if (best < 0.6 && phonetic.includes(soundex(term))) {
+    best = 0.6;
+  }
+  return best;
+};
+
+// Search a tenant's records of a model using the searchable plugin.
+//   text         free text matched against names and phone numbers
+//   identifiers  [{ field, value }] exact identifiers (MRN, email, employee ID)
+//                that also match the free text
+//   filters      further query conditions
+// With text, results are ranked by relevance; otherwise by `sort`.
+const searchRecords = async (Model, {
+  hospitalId,
+  text,
+  identifiers = [],
+  filters = {},
+  sort = { createdAt: -1 },
+  page = 1,
+  limit = 10,
+  select = '',
+  populate
+}) => {
+  const query = { hospitalId, ...filters };
+  const terms = text ? searchTerms(text) : [];
+
+  if (!text || (!terms.length && !identifiers.length)) {
+    const skip = (page - 1) * limit;
+    let find = Model.find(query).select(select).sort(sort).skip(skip).limit(limit);
+    if (populate) find = find.populate(populate);
+
+    const [results, total] = await Promise.all([find, Model.countDocuments(query)]);
+    return { results, total };
+  }
+
+  const alternatives = identifiers.map(({ field, value }) => ({ [field]: value }));
+  if (terms.length) {
+    alternatives.push(termsQuery(terms));
+  }
+  query.$or = alternatives;
+
+  let find = Model.find(query).select(select).limit(MAX_CANDIDATES);
+  if (populate) find = find.populate(populate);
+  const candidates = await find;
+
+  const ranked = candidates
+    .map(record => {
+      const exactIdentifier = identifiers.some(({ field, value }) => record.get(field) === value);
+      const { tokens, phonetic } = Model.computeSearchKeys(record);
+      const score = exactIdentifier
+        ? terms.length + 10
+        : terms.reduce((sum, term) => sum + termScore(term, tokens, phonetic), 0);
+      return { record, score };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const start = (page - 1) * limit;
+  return {
+    results: ranked.slice(start, start + limit).map(({ record }) => record),
+    total: ranked.length
+  };
+};
+
+module.exports = {
+  stringParam,
+  searchRecords
+};
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { normalizeName, tokenize, normalizePhone, soundex } = require('./textMatching');
+
+// Mongoose plugin keeping precomputed search keys on a record:
+//   searchKeys.tokens    normalized name words and phone digits, for indexed prefix matching
+//   searchKeys.phonetic  Soundex codes of the name words, for typo-tolerant matching
+// Options: nameFields and phoneFields whose values feed the keys.
+const searchable = (schema, { nameFields, phoneFields = [] }) => {
+  const sourceFields = [...nameFields, ...phoneFields];
+
+  const computeSearchKeys = (values) => {
+    // Each word plus the whole value, so "O'Neil" is found as "o", "neil" and "oneil"
+    const words = nameFields.flatMap(field => [...tokenize(values[field]), normalizeName(values[field])])
+      .filter(Boolean);
+    const phones = phoneFields.map(field => normalizePhone(values[field])).filter(Boolean);
+
+    return {
+      tokens: [...new Set([...words, ...phones])],
+      phonetic: [...new Set(words.map(soundex))]
+    };
+  };
+
+  schema.add({
+    searchKeys: {
+      type: new mongoose.Schema({
+        tokens: [String],
+        phonetic: [String]
+      }, { _id: false }),
+      select: false
+    }
+  });
+
+  schema.index({ hospitalId: 1, 'searchKeys.tokens': 1 });
+  schema.index({ hospitalId: 1, 'searchKeys.phonetic': 1 });
+
+  schema.pre('save', function(next) {
+    if (this.isNew || sourceFields.some(field => this.isModified(field))) {
+      this.searchKeys = computeSearchKeys(this);
+    }
+    next();
+  });
+
+  // Updates may change only some of the fields, so the rest come from the stored record
+  schema.pre('findOneAndUpdate', async function() {
+    const update = this.getUpdate() || {};
+    const changes = { ...update, ...(update.$set || {}) };
+    if (!sourceFields.some(field => changes[field] !== undefined)) {
+      return;
+    }
+
+    const current = await this.model.findOne(this.getQuery()).select(sourceFields.join(' ')).lean();
+    if (current) {
+      this.set('searchKeys', computeSearchKeys({ ...current, ...changes }));
+    }
+  });
+
+  schema.statics.computeSearchKeys = computeSearchKeys;
+};
+
+module.exports = searchable;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Mongoose plugin for clinical and HR records that must not be destroyed.
+// Deleting sets deletedAt/deletedBy/deletionReason; queries and aggregations
+// hide deleted records unless they filter on deletedAt themselves or use
+// .withDeleted(). Records can be purged for good once the retention period
+// (RECORD_RETENTION_DAYS) has passed.
+
+const RETENTION_DAYS = parseInt(process.env.RECORD_RETENTION_DAYS) || 3650;
+
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'updateOne',
+  'updateMany',
+  'distinct'
+];
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    deletionReason: String
+  });
+
+  schema.pre(QUERY_HOOKS, function() {
+    if (this.getOptions().withDeleted) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  schema.query.withDeleted = function() {
+    return this.setOptions({ withDeleted: true });
+  };
+
+  schema.methods.softDelete = function(userId, reason) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    this.deletionReason = reason;
+    return this.save();
+  };
+
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    this.deletionReason = undefined;
+    return this.save();
+  };
+
+  // Date from which the deleted record may be purged
+  schema.methods.purgeableAt = function() {
+    if (!this.deletedAt) return null;
+    return new Date(this.deletedAt.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  };
+};
+
+softDelete.RETENTION_DAYS = RETENTION_DAYS;
+
+module.exports = softDelete;
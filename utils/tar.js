@@ -0,0 +1,106 @@
+// Minimal ustar reader and writer for the tenant export archives. Only regular
+// files are supported, which is all the archives contain.
+
+const BLOCK_SIZE = 512;
+
+const writeString = (buffer, value, offset, length) => {
+  buffer.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+};
+
+const writeOctal = (buffer, value, offset, length) => {
+  writeString(buffer, value.toString(8).padStart(length - 1, '0') + '\0', offset, length);
+};
+
+const readString = (buffer, offset, length) => {
+  const raw = buffer.subarray(offset, offset + length);
+  const end = raw.indexOf(0);
+  return raw.subarray(0, end === -1 ? length : end).toString('utf8');
+};
+
+const readOctal = (buffer, offset, length) => {
+  return parseInt(readString(buffer, offset, length).trim() || '0', 8);
+};
+
+// Names longer than 100 bytes are split into the ustar prefix field
+const splitName = (name) => {
+  if (Buffer.byteLength(name) <= 100) {
+    return { prefix: '', name };
+  }
+
+  const slash = name.lastIndexOf('/', 155);
+  if (slash === -1 || Buffer.byteLength(name.slice(slash + 1)) > 100) {
+    throw new Error(`Path too long for archive: ${name}`);
+  }
+  return { prefix: name.slice(0, slash), name: name.slice(slash + 1) };
+};
+
+const createHeader = (entryName, size, mtime) => {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  const { prefix, name } = splitName(entryName);
+
+  writeString(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.fill(' ', 148, 156);
+  writeString(header, '0', 156, 1);
+  writeString(header, 'ustar\0', 257, 6);
+  writeString(header, '00', 263, 2);
+  writeString(header, prefix, 345, 155);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  writeString(header, checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+
+  return header;
+};
+
+const padding = (size) => Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+
+// Build a tar archive from [{ name, data }] entries
+const pack = (entries, mtime = new Date()) => {
+  const blocks = [];
+  entries.forEach(({ name, data }) => {
+    blocks.push(createHeader(name, data.length, mtime), data, padding(data.length));
+  });
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return Buffer.concat(blocks);
+};
+
+// Read the regular files of a tar archive into [{ name, data }]
+const unpack = (archive) => {
+  const entries = [];
+  let offset = 0;
+
+  while (offset + BLOCK_SIZE <= archive.length) {
+    const header = archive.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every(byte => byte === 0)) break;
+
+    const name = readString(header, 0, 100);
+    const prefix = readString(header, 345, 155);
+    const size = readOctal(header, 124, 12);
+    const type = readString(header, 156, 1) || '0';
+    const dataStart = offset + BLOCK_SIZE;
+
+    if (dataStart + size > archive.length) {
+      throw new Error('Archive is truncated');
+    }
+    if (type === '0') {
+      entries.push({
+        name: prefix ? `${prefix}/${name}` : name,
+        data: archive.subarray(dataStart, dataStart + size)
+      });
+    }
+
+    offset = dataStart + size + padding(size).length;
+  }
+
+  return entries;
+};
+
+module.exports = {
+  pack,
+  unpack
+};
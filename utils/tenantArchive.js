@@ -0,0 +1,350 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const mongoose = require('mongoose');
+const Hospital = require('../models/Hospital');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Patient = require('../models/Patient');
+const Doctor = require('../models/Doctor');
+const Staff = require('../models/Staff');
+const Appointment = require('../models/Appointment');
+const Vitals = require('../models/Vitals');
+const DataKey = require('../models/DataKey');
+const Invitation = require('../models/Invitation');
+const ServiceAccount = require('../models/ServiceAccount');
+const ApiKey = require('../models/ApiKey');
+const EmergencyAccess = require('../models/EmergencyAccess');
+const LoginActivity = require('../models/LoginActivity');
+const Counter = require('../models/Counter');
+const PatientMerge = require('../models/PatientMerge');
+const RecordHistory = require('../models/RecordHistory');
+const TenantExport = require('../models/TenantExport');
+const tar = require('./tar');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const { EJSON, ObjectId } = mongoose.mongo.BSON;
+
+const ARCHIVE_FORMAT = 'medisync-tenant-export';
+const ARCHIVE_VERSION = 1;
+const MANIFEST_NAME = 'manifest.json';
+const UPLOADS_DIR = 'uploads';
+const EXPORT_DIR = process.env.EXPORT_DIR || 'exports';
+
+// Collections holding a hospital's data, by archive name. Sessions,
+// subscriptions and payment events stay behind: they only mean something in
+// the environment that issued them.
+const TENANT_COLLECTIONS = {
+  hospitals: { model: Hospital, filter: (hospitalId) => ({ _id: new ObjectId(hospitalId) }) },
+  users: { model: User },
+  roles: { model: Role },
+  patients: { model: Patient },
+  doctors: { model: Doctor },
+  staff: { model: Staff },
+  appointments: { model: Appointment },
+  vitals: { model: Vitals },
+  invitations: { model: Invitation },
+  serviceAccounts: { model: ServiceAccount },
+  apiKeys: { model: ApiKey },
+  emergencyAccess: { model: EmergencyAccess },
+  loginActivity: { model: LoginActivity },
+  counters: { model: Counter },
+  patientMerges: { model: PatientMerge },
+  recordHistory: { model: RecordHistory },
+  // Wrapped, so an archive is only readable where the same ENCRYPTION_MASTER_KEY is set
+  dataKeys: { model: DataKey }
+};
+
+// Fields that must be unique across all hospitals, checked before importing
+const UNIQUE_FIELDS = {
+  hospitals: ['registrationNumber'],
+  users: ['email'],
+  staff: ['employeeId'],
+  apiKeys: ['keyHash']
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const tenantFilter = (name, hospitalId) => {
+  const { filter } = TENANT_COLLECTIONS[name];
+  return filter ? filter(hospitalId) : { hospitalId };
+};
+
+// Uploaded files belong to a hospital when their name starts with its id,
+// e.g. uploads/logos/<hospitalId>-1700000000000.png
+const listTenantFiles = async (hospitalId, dir = UPLOADS_DIR) => {
+  let dirents;
+  try {
+    dirents = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const dirent of dirents) {
+    const fullPath = path.join(dir, dirent.name);
+    if (dirent.isDirectory()) {
+      files.push(...await listTenantFiles(hospitalId, fullPath));
+    } else if (dirent.isFile() && dirent.name.startsWith(`${hospitalId}-`)) {
+      files.push(fullPath.split(path.sep).join('/'));
+    }
+  }
+  return files;
+};
+
+// Build a gzipped tar archive of everything belonging to the hospital:
+//   manifest.json              format, version, counts and sha256 checksums
+//   collections/<name>.json    documents as canonical Extended JSON
+//   uploads/...                the hospital's uploaded files
+const exportTenant = async (hospitalId) => {
+  const hospital = await Hospital.findByTenantId(hospitalId);
+  if (!hospital) {
+    throw new Error('Hospital not found');
+  }
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    hospitalId: String(hospitalId),
+    hospitalName: hospital.name,
+    createdAt: new Date().toISOString(),
+    collections: {},
+    files: []
+  };
+  const entries = [];
+
+  for (const name of Object.keys(TENANT_COLLECTIONS)) {
+    const { model } = TENANT_COLLECTIONS[name];
+    const documents = await model.collection.find(tenantFilter(name, hospitalId)).toArray();
+    const file = `collections/${name}.json`;
+    const data = Buffer.from(EJSON.stringify(documents, { relaxed: false }));
+
+    entries.push({ name: file, data });
+    manifest.collections[name] = { file, count: documents.length, sha256: sha256(data) };
+  }
+
+  for (const file of await listTenantFiles(hospitalId)) {
+    const data = await fs.readFile(file);
+    entries.push({ name: file, data });
+    manifest.files.push({ path: file, size: data.length, sha256: sha256(data) });
+  }
+
+  entries.unshift({ name: MANIFEST_NAME, data: Buffer.from(JSON.stringify(manifest, null, 2)) });
+
+  return {
+    manifest,
+    archive: await gzip(tar.pack(entries))
+  };
+};
+
+// Unpack an archive and verify its format, version and checksums
+const readArchive = async (buffer) => {
+  const entries = new Map(tar.unpack(await gunzip(buffer)).map(entry => [entry.name, entry.data]));
+
+  if (!entries.has(MANIFEST_NAME)) {
+    throw new Error('Archive has no manifest');
+  }
+
+  const manifest = JSON.parse(entries.get(MANIFEST_NAME).toString('utf8'));
+  if (manifest.format !== ARCHIVE_FORMAT) {
+    throw new Error('Not a tenant export archive');
+  }
+  if (!(manifest.version <= ARCHIVE_VERSION)) {
+    throw new Error(`Unsupported archive version ${manifest.version}`);
+  }
+
+  const verified = (file, expected) => {
+    const data = entries.get(file);
+    if (!data || sha256(data) !== expected) {
+      throw new Error(`Checksum mismatch for ${file}`);
+    }
+    return data;
+  };
+
+  const collections = {};
+  Object.entries(manifest.collections).forEach(([name, { file, sha256: checksum }]) => {
+    if (!TENANT_COLLECTIONS[name]) {
+      throw new Error(`Unknown collection in archive: ${name}`);
+    }
+    collections[name] = EJSON.parse(verified(file, checksum).toString('utf8'), { relaxed: false });
+  });
+
+  const files = manifest.files.map(({ path: file, sha256: checksum }) => {
+    if (path.posix.normalize(file) !== file || !file.startsWith(`${UPLOADS_DIR}/`)) {
+      throw new Error(`Invalid file path in archive: ${file}`);
+    }
+    return { path: file, data: verified(file, checksum) };
+  });
+
+  return { manifest, collections, files };
+};
+
+// Replace every reference to an exported id with its new id. hospitalId and
+// other ids kept as strings are matched exactly; the old hospital id is also
+// replaced inside strings such as upload paths.
+const remapIds = (value, idMap, oldHospitalId, newHospitalId) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (value._bsontype === 'ObjectId') {
+    return idMap.get(value.toHexString()) || value;
+  }
+  if (typeof value === 'string') {
+    if (idMap.has(value)) return idMap.get(value).toHexString();
+    return value.split(oldHospitalId).join(newHospitalId);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => remapIds(item, idMap, oldHospitalId, newHospitalId));
+  }
+  if (typeof value === 'object' && !(value instanceof Date) && !value._bsontype) {
+    return Object.keys(value).reduce((result, key) => {
+      result[key] = remapIds(value[key], idMap, oldHospitalId, newHospitalId);
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+const findConflicts = async (collections) => {
+  const conflicts = [];
+
+  for (const [name, fields] of Object.entries(UNIQUE_FIELDS)) {
+    const documents = collections[name] || [];
+    for (const field of fields) {
+      const values = documents.map(document => document[field]).filter(Boolean);
+      if (!values.length) continue;
+
+      const existing = await TENANT_COLLECTIONS[name].model.collection
+        .find({ [field]: { $in: values } }, { projection: { [field]: 1 } })
+        .toArray();
+      existing.forEach(document => conflicts.push({ collection: name, field, value: document[field] }));
+    }
+  }
+
+  return conflicts;
+};
+
+// Import an archive as a new hospital. Every document gets a fresh _id and
+// references are remapped, but user emails, the registration number and other
+// UNIQUE_FIELDS are kept, so an archive only imports where its hospital and
+// users do not exist yet, e.g. into another environment. With dryRun nothing
+// is written; the report lists what would be imported and any unique-field
+// conflicts, which otherwise abort the import.
+const importTenant = async (buffer, { dryRun = false } = {}) => {
+  const { manifest, collections, files } = await readArchive(buffer);
+
+  const idMap = new Map();
+  Object.values(collections).forEach(documents => {
+    documents.forEach(document => idMap.set(document._id.toHexString(), new ObjectId()));
+  });
+
+  const oldHospitalId = manifest.hospitalId;
+  const newHospitalId = idMap.get(oldHospitalId);
+  if (!newHospitalId) {
+    throw new Error('Archive does not contain its hospital');
+  }
+
+  const remapped = {};
+  Object.entries(collections).forEach(([name, documents]) => {
+    remapped[name] = documents.map(document => remapIds(document, idMap, oldHospitalId, newHospitalId.toHexString()));
+  });
+  const remappedFiles = files.map(file => ({
+    ...file,
+    path: file.path.split(oldHospitalId).join(newHospitalId.toHexString())
+  }));
+
+  const report = {
+    dryRun,
+    sourceHospitalId: oldHospitalId,
+    hospitalId: newHospitalId.toHexString(),
+    hospitalName: manifest.hospitalName,
+    exportedAt: manifest.createdAt,
+    collections: Object.keys(remapped).reduce((counts, name) => {
+      counts[name] = remapped[name].length;
+      return counts;
+    }, {}),
+    files: remappedFiles.map(file => file.path),
+    conflicts: await findConflicts(remapped)
+  };
+
+  if (dryRun) {
+    return report;
+  }
+  if (report.conflicts.length) {
+    const error = new Error('Archive conflicts with existing data');
+    error.report = report;
+    throw error;
+  }
+
+  const dbSession = await mongoose.startSession();
+  try {
+    await dbSession.withTransaction(async () => {
+      for (const [name, documents] of Object.entries(remapped)) {
+        if (documents.length) {
+          await TENANT_COLLECTIONS[name].model.collection.insertMany(documents, { session: dbSession });
+        }
+      }
+    });
+  } finally {
+    await dbSession.endSession();
+  }
+
+  for (const file of remappedFiles) {
+    await fs.mkdir(path.dirname(file.path), { recursive: true });
+    await fs.writeFile(file.path, file.data);
+  }
+
+  return report;
+};
+
+// Run an export job in the background and record its outcome on the job
+const runExportJob = async (jobId) => {
+  const job = await TenantExport.findById(jobId);
+  job.status = 'running';
+  job.startedAt = new Date();
+  await job.save();
+
+  try {
+    const { manifest, archive } = await exportTenant(job.hospitalId);
+    const fileName = `${job.hospitalId}-${job._id}.tar.gz`;
+
+    await fs.mkdir(EXPORT_DIR, { recursive: true });
+    await fs.writeFile(path.join(EXPORT_DIR, fileName), archive);
+
+    job.status = 'completed';
+    job.fileName = fileName;
+    job.size = archive.length;
+    job.sha256 = sha256(archive);
+    job.archiveVersion = manifest.version;
+    job.counts = {
+      ...Object.keys(manifest.collections).reduce((counts, name) => {
+        counts[name] = manifest.collections[name].count;
+        return counts;
+      }, {}),
+      files: manifest.files.length
+    };
+  } catch (error) {
+    console.error('Tenant export error:', error);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.completedAt = new Date();
+  await job.save();
+  return job;
+};
+
+const getExportPath = (job) => path.join(EXPORT_DIR, job.fileName);
+
+module.exports = {
+  ARCHIVE_VERSION,
+  exportTenant,
+  runExportJob,
+  getExportPath,
+  readArchive,
+  importTenant
+};
@@ -0,0 +1,111 @@
+// String helpers for matching people by name: normalization, phonetic codes
+// and typo-tolerant similarity. No dependencies, so models can use them.
+
+// Lowercase ASCII letters only, with accents stripped
+const normalizeName = (value) => {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '');
+};
+
+// Split free text into normalized words
+const tokenize = (value) => {
+  return String(value || '')
+    .split(/[\s,.'-]+/)
+    .map(normalizeName)
+    .filter(Boolean);
+};
+
+// Compare the last ten digits so formatting and country prefixes do not matter
+const normalizePhone = (value) => String(value || '').replace(/\D/g, '').slice(-10);
+
+const normalizeEmail = (value) => String(value || '').trim().toLowerCase();
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const SOUNDEX_CODES = {
+  b: '1', f: '1', p: '1', v: '1',
+  c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+  d: '3', t: '3',
+  l: '4',
+  m: '5', n: '5',
+  r: '6'
+};
+
+// American Soundex code, e.g. Smith and Smyth are both S530
+const soundex = (value) => {
+  const name = normalizeName(value);
+  if (!name) return '';
+
+  let code = name[0].toUpperCase();
+  let previous = SOUNDEX_CODES[name[0]] || '';
+
+  for (let i = 1; i < name.length && code.length < 4; i++) {
+    const char = name[i];
+    const digit = SOUNDEX_CODES[char] || '';
+    if (digit && digit !== previous) {
+      code += digit;
+    }
+    // h and w do not separate letters with the same code; vowels do
+    if (char !== 'h' && char !== 'w') {
+      previous = digit;
+    }
+  }
+
+  return code.padEnd(4, '0');
+};
+
+// Jaro-Winkler similarity between 0 and 1; tolerant of the typos and
+// transpositions typical of names typed at reception
+const jaroWinkler = (a, b) => {
+  if (!a.length || !b.length) return 0;
+  if (a === b) return 1;
+
+  const matchWindow = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - matchWindow);
+    const end = Math.min(i + matchWindow + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (!bMatches[j] && a[i] === b[j]) {
+        aMatches[i] = true;
+        bMatches[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+
+  if (!matches) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+module.exports = {
+  normalizeName,
+  tokenize,
+  normalizePhone,
+  normalizeEmail,
+  escapeRegex,
+  soundex,
+  jaroWinkler
+};
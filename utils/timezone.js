@@ -0,0 +1,179 @@
+// Timezone helpers built on Intl so that day boundaries, trend grouping and
+// displayed times follow the hospital's configured IANA timezone instead of
+// the server's.
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock components of an instant in the given timezone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return parts;
+};
+
+// Minutes the timezone is ahead of UTC at the given instant
+const getOffsetMinutes = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  const truncated = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - truncated) / 60000);
+};
+
+// Instant at which the wall clock in `timeZone` shows the given local time.
+// Month is 1-based; overflowing days roll over as with Date.UTC.
+const zonedTimeToUtc = (timeZone, year, month, day, hour = 0, minute = 0) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getOffsetMinutes(new Date(guess), timeZone);
+  let result = guess - offset * 60000;
+
+  // Re-check across a DST transition between the guess and the result
+  const correctedOffset = getOffsetMinutes(new Date(result), timeZone);
+  if (correctedOffset !== offset) {
+    result = guess - correctedOffset * 60000;
+  }
+  return new Date(result);
+};
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i;
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+// Components of a YYYY-MM-DD date, or null unless it is a real calendar
+// date: Date would roll 2025-02-31 over to March 3
+const parseCalendarDate = (value) => {
+  const match = typeof value === 'string' && value.match(DATE_PATTERN);
+  if (!match) return null;
+
+  const [year, month, day] = [+match[1], +match[2], +match[3]];
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return { year, month, day };
+};
+
+const toCalendarDay = (value, timeZone) => {
+  const calendarDate = parseCalendarDate(value);
+  if (calendarDate) {
+    return calendarDate;
+  }
+  return getZonedParts(value instanceof Date ? value : new Date(value), timeZone);
+};
+
+// Start (inclusive) and end (exclusive) of the local day containing `value`,
+// which may be an instant or a YYYY-MM-DD calendar date
+const getDayRange = (value, timeZone) => {
+  const { year, month, day } = toCalendarDay(value, timeZone);
+  return {
+    start: zonedTimeToUtc(timeZone, year, month, day),
+    end: zonedTimeToUtc(timeZone, year, month, day + 1)
+  };
+};
+
+// Start of the local day `days` days before the day containing `now`
+const startOfDaysAgo = (days, timeZone, now = new Date()) => {
+  const { year, month, day } = getZonedParts(now, timeZone);
+  return zonedTimeToUtc(timeZone, year, month, day - days);
+};
+
+// Parse "HH:mm" or "h:mm AM" into 24-hour components
+const parseTimeOfDay = (time) => {
+  const match = typeof time === 'string' && time.trim().match(TIME_PATTERN);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2], 10);
+  const meridiem = match[3] && match[3].toUpperCase();
+  if (meridiem === 'PM' && hour < 12) hour += 12;
+  if (meridiem === 'AM' && hour === 12) hour = 0;
+  if (hour > 23 || minute > 59) return null;
+
+  return { hour, minute };
+};
+
+// Combine a calendar date and a time of day in the hospital's timezone
+const localDateTimeToUtc = (date, time, timeZone) => {
+  const calendarDate = parseCalendarDate(date);
+  const timeOfDay = parseTimeOfDay(time);
+  if (!calendarDate || !timeOfDay) return null;
+
+  const { year, month, day } = calendarDate;
+  return zonedTimeToUtc(timeZone, year, month, day, timeOfDay.hour, timeOfDay.minute);
+};
+
+// Parse an ISO date-time. Values with an explicit offset ("Z", "+05:30") are
+// absolute; values without one are read as local time in `timeZone`.
+const parseInstant = (value, timeZone) => {
+  if (value instanceof Date) return value;
+  if (typeof value !== 'string') return null;
+
+  const trimmed = value.trim();
+  const [date, time] = trimmed.split(/[T ]/);
+  if (DATE_PATTERN.test(date) && !parseCalendarDate(date)) return null;
+
+  if (time && !OFFSET_PATTERN.test(trimmed)) {
+    return localDateTimeToUtc(date, time.slice(0, 5), timeZone);
+  }
+
+  const parsed = new Date(trimmed);
+  return isNaN(parsed.getTime()) ? null : parsed;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// ISO 8601 representation of an instant in the given timezone, e.g.
+// 2024-03-10T09:30:00-04:00
+const formatInTimeZone = (date, timeZone) => {
+  if (!date) return null;
+  const instant = date instanceof Date ? date : new Date(date);
+  const p = getZonedParts(instant, timeZone);
+  const offset = getOffsetMinutes(instant, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const absolute = Math.abs(offset);
+
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getOffsetMinutes,
+  zonedTimeToUtc,
+  getDayRange,
+  startOfDaysAgo,
+  localDateTimeToUtc,
+  parseInstant,
+  formatInTimeZone
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 7;
+const MFA_TOKEN_EXPIRES_IN = '5m';
+
+// Hash opaque tokens before they are stored or looked up
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const generateRandomToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshTokenExpiry = () => {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_EXPIRES_DAYS);
+  return expiresAt;
+};
+
+// Short-lived access token bound to a server-side session
+const generateAccessToken = (user, session) => {
+  return jwt.sign(
+    {
+      userId: user._id,
+      email: user.email,
+      role: user.role,
+      hospitalId: user.hospitalId,
+      sessionId: session._id
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+// Short-lived token proving the password step of a login succeeded.
+// It carries no sessionId, so the auth middleware never accepts it.
+const generateMfaToken = (user, purpose) => {
+  return jwt.sign(
+    { userId: user._id, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: MFA_TOKEN_EXPIRES_IN }
+  );
+};
+
+// Returns the decoded MFA token, or null if it is invalid, expired or for another purpose
+const verifyMfaToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Start a new session for the user and issue its first token pair
+const createSession = async (user, req) => {
+  const refreshToken = generateRandomToken();
+
+  const session = new Session({
+    userId: user._id,
+    hospitalId: user.hospitalId,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip,
+    expiresAt: refreshTokenExpiry()
+  });
+  await session.save();
+
+  return {
+    session,
+    token: generateAccessToken(user, session),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+// Replace the session's refresh token and issue a new token pair. The token
+// is swapped in a single update conditional on it still being current, so of
+// two refreshes racing with the same token only one succeeds; the other gets
+// null, as a replayed token would.
+const rotateSession = async (session, user, req) => {
+  const refreshToken = generateRandomToken();
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    {
+      previousTokenHash: session.refreshTokenHash,
+      refreshTokenHash: hashToken(refreshToken),
+      lastUsedAt: new Date(),
+      ipAddress: req.ip,
+      expiresAt: refreshTokenExpiry()
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    return null;
+  }
+
+  return {
+    session: rotated,
+    token: generateAccessToken(user, rotated),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+module.exports = {
+  hashToken,
+  generateRandomToken,
+  generateAccessToken,
+  generateMfaToken,
+  verifyMfaToken,
+  createSession,
+  rotateSession
+};
@@ -0,0 +1,58 @@
+// Vital sign measurements. `valid` bounds reject readings that cannot be
+// right (typos, wrong units); `normal` is the adult reference range used to
+// flag readings, absent where no single range applies.
+const MEASUREMENTS = {
+  systolic: { label: 'Systolic blood pressure', unit: 'mmHg', valid: [40, 300], normal: [90, 139] },
+  diastolic: { label: 'Diastolic blood pressure', unit: 'mmHg', valid: [20, 200], normal: [60, 89] },
+  heartRate: { label: 'Heart rate', unit: 'bpm', valid: [20, 300], normal: [60, 100] },
+  respiratoryRate: { label: 'Respiratory rate', unit: 'breaths/min', valid: [4, 80], normal: [12, 20] },
+  temperature: { label: 'Temperature', unit: '°C', valid: [25, 45], normal: [36.1, 37.5] },
+  oxygenSaturation: { label: 'Oxygen saturation', unit: '%', valid: [50, 100], normal: [95, 100] },
+  height: { label: 'Height', unit: 'cm', valid: [20, 272] },
+  weight: { label: 'Weight', unit: 'kg', valid: [0.5, 650] },
+  bmi: { label: 'Body mass index', unit: 'kg/m²', normal: [18.5, 24.9], derived: true }
+};
+
+// Measurements that are entered rather than derived
+const RECORDED_MEASUREMENTS = Object.keys(MEASUREMENTS).filter(name => !MEASUREMENTS[name].derived);
+
+// Trend buckets, as $dateToString formats
+const TREND_INTERVALS = {
+  hour: '%Y-%m-%dT%H:00',
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+// BMI from height in cm and weight in kg, to one decimal place
+const computeBmi = (heightCm, weightKg) => {
+  if (!heightCm || !weightKg) return undefined;
+  const metres = heightCm / 100;
+  return Math.round((weightKg / (metres * metres)) * 10) / 10;
+};
+
+// 'low' or 'high' for a reading outside the normal range, otherwise null
+const rangeFlag = (measurement, value) => {
+  const { normal } = MEASUREMENTS[measurement];
+  if (!normal || value === undefined || value === null) return null;
+  if (value < normal[0]) return 'low';
+  if (value > normal[1]) return 'high';
+  return null;
+};
+
+// Flags for every abnormal measurement of a reading
+const flagReading = (reading) => {
+  return Object.keys(MEASUREMENTS)
+    .map(measurement => ({ measurement, value: reading[measurement], flag: rangeFlag(measurement, reading[measurement]) }))
+    .filter(({ flag }) => flag)
+    .map(({ measurement, value, flag }) => ({ measurement, value, flag, normalRange: MEASUREMENTS[measurement].normal }));
+};
+
+module.exports = {
+  MEASUREMENTS,
+  RECORDED_MEASUREMENTS,
+  TREND_INTERVALS,
+  computeBmi,
+  rangeFlag,
+  flagReading
+};